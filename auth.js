@@ -214,4 +214,22 @@ router.post("/settings", async (req, res) => {
   res.send("✅ Settings updated.");
 });
 
+/**
+ * Solid credentials of a registered user, secret decrypted, for jobs that act
+ * on a refugee's Pod outside a request (e.g. consent expiry). null if unknown.
+ */
+export async function getSolidCredentials(email) {
+  const users = JSON.parse(
+    await fs.readFile(USERS_FILE, "utf8").catch(() => "[]"),
+  );
+  const user = users.find((u) => u.email === email);
+  if (!user) return null;
+  return {
+    clientId: user.clientId,
+    clientSecret: decryptSecret(user.clientSecret),
+    oidcIssuer: user.oidcIssuer,
+    targetPod: user.targetPod,
+  };
+}
+
 export default router;
@@ -0,0 +1,191 @@
+// data/bucketStore.js
+// Server-side state around similarity buckets: stable bucket identities,
+// analyst annotations and pin/split constraints between entries.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const BUCKETS_PATH = path.resolve(__dirname, "similarity-buckets.json");
+const ANNOTATIONS_PATH = path.resolve(__dirname, "bucket-annotations.json");
+const CONSTRAINTS_PATH = path.resolve(__dirname, "similarity-constraints.json");
+
+export const BUCKET_STATUSES = [
+  "confirmed_incident",
+  "false_positive",
+  "under_review",
+];
+export const CONSTRAINT_TYPES = ["pin", "split"];
+
+// A new bucket inherits a known bucket's ID when they share at least this
+// fraction of their combined members (Jaccard).
+const MIN_OVERLAP = 0.5;
+
+async function loadJson(filePath, fallback) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+async function saveJson(filePath, data) {
+  await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2));
+}
+
+function overlap(a, b) {
+  const A = new Set(a);
+  let inter = 0;
+  for (const x of b) if (A.has(x)) inter++;
+  return inter / (A.size + b.length - inter);
+}
+
+// ID seeded by the oldest member (entry URLs carry their creation timestamp)
+function idFromMembers(entryIds) {
+  const oldest = entryIds.slice().sort()[0] || "";
+  return (
+    "bkt-" + crypto.createHash("sha1").update(oldest).digest("hex").slice(0, 10)
+  );
+}
+
+/**
+ * Replace the per-run bucket IDs with stable ones that follow their members:
+ * reuse the ID of the best-overlapping known bucket, otherwise derive a new
+ * one from the oldest member. Buckets with two or more entries are remembered unless
+ * `persist` is false (filtered or what-if runs must not move memberships that
+ * incidents and annotations rely on).
+ */
+export async function stabilizeBucketIds(buckets, { persist = true } = {}) {
+  const known = await loadJson(BUCKETS_PATH, []);
+  const knownIds = new Set(known.map((k) => k.bucketId));
+  const claimed = new Set();
+  const now = new Date().toISOString();
+
+  // larger buckets claim known IDs first
+  const order = buckets
+    .map((b, i) => i)
+    .sort((x, y) => buckets[y].entryIds.length - buckets[x].entryIds.length);
+  const out = [];
+  for (const i of order) {
+    const b = buckets[i];
+    let best = null;
+    let bestScore = MIN_OVERLAP;
+    for (const k of known) {
+      if (claimed.has(k.bucketId)) continue;
+      const score = overlap(k.entryIds, b.entryIds);
+      if (score >= bestScore) {
+        best = k;
+        bestScore = score;
+      }
+    }
+
+    let bucketId = best?.bucketId;
+    if (!bucketId) {
+      // a derived ID must not take over a stored bucket (and its annotations
+      // and incident links) that merely shares the oldest member
+      const base = idFromMembers(b.entryIds);
+      bucketId = base;
+      for (let n = 2; claimed.has(bucketId) || knownIds.has(bucketId); n++)
+        bucketId = `${base}-${n}`;
+    }
+    claimed.add(bucketId);
+    out[i] = { ...b, bucketId };
+  }
+
+  if (!persist) return out;
+
+  // remember current membership; keep buckets that dissolved for later matches
+  const byId = new Map(known.map((k) => [k.bucketId, k]));
+  for (const b of out) {
+    if (b.size < 2) continue;
+    const prev = byId.get(b.bucketId);
+    byId.set(b.bucketId, {
+      bucketId: b.bucketId,
+      entryIds: b.entryIds,
+      firstSeen: prev?.firstSeen || now,
+      lastSeen: now,
+    });
+  }
+  try {
+    await saveJson(BUCKETS_PATH, [...byId.values()]);
+  } catch (e) {
+    console.warn("⚠️ Could not save bucket identities:", e?.message || e);
+  }
+  return out;
+}
+
+export async function getKnownBuckets() {
+  return loadJson(BUCKETS_PATH, []);
+}
+
+// ---------- annotations ----------
+export async function getAnnotations() {
+  return loadJson(ANNOTATIONS_PATH, {});
+}
+
+export async function annotateBucket(bucketId, { status, note }, by) {
+  const all = await getAnnotations();
+  const now = new Date().toISOString();
+  const cur = all[bucketId] || { status: null, notes: [] };
+  if (status) cur.status = status;
+  if (note) cur.notes.push({ text: note, by, at: now });
+  cur.updatedAt = now;
+  cur.updatedBy = by;
+  all[bucketId] = cur;
+  await saveJson(ANNOTATIONS_PATH, all);
+  return cur;
+}
+
+// ---------- pin / split constraints ----------
+export async function getConstraints() {
+  return loadJson(CONSTRAINTS_PATH, []);
+}
+
+export async function addConstraint({ type, a, b }, by) {
+  const all = await getConstraints();
+  const constraint = {
+    id: crypto.randomUUID(),
+    type,
+    a,
+    b,
+    by,
+    at: new Date().toISOString(),
+  };
+  // a newer pin/split on the same pair replaces the older one
+  const kept = all.filter(
+    (c) => !((c.a === a && c.b === b) || (c.a === b && c.b === a)),
+  );
+  kept.push(constraint);
+  await saveJson(CONSTRAINTS_PATH, kept);
+  return constraint;
+}
+
+export async function removeConstraint(id) {
+  const all = await getConstraints();
+  const kept = all.filter((c) => c.id !== id);
+  if (kept.length === all.length) return false;
+  await saveJson(CONSTRAINTS_PATH, kept);
+  return true;
+}
+
+// ---------- entries leaving the analysis ----------
+/** Drop an entry from remembered buckets and from pin/split constraints. */
+export async function forgetEntry(entryId) {
+  const known = await loadJson(BUCKETS_PATH, []);
+  const buckets = known.filter((b) => b.entryIds.includes(entryId)).length;
+  if (buckets) {
+    const rest = known
+      .map((b) => ({
+        ...b,
+        entryIds: b.entryIds.filter((id) => id !== entryId),
+      }))
+      .filter((b) => b.entryIds.length);
+    await saveJson(BUCKETS_PATH, rest);
+  }
+  const all = await getConstraints();
+  const kept = all.filter((c) => c.a !== entryId && c.b !== entryId);
+  if (kept.length !== all.length) await saveJson(CONSTRAINTS_PATH, kept);
+  return { buckets, constraints: all.length - kept.length };
+}
@@ -0,0 +1,43 @@
+// data/consentEvents.js
+// Append-only log of consent changes (shared, extended, withdrawn, expired)
+// so it can be shown later what access an organisation had, and until when.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const EVENTS_PATH = path.resolve(__dirname, "consent-events.jsonl");
+
+export const CONSENT_EVENTS = ["shared", "extended", "withdrawn", "expired"];
+
+export async function recordConsentEvent(type, details) {
+  const event = { type, at: new Date().toISOString(), ...details };
+  await fs.promises.appendFile(
+    EVENTS_PATH,
+    JSON.stringify(event) + "\n",
+    "utf8",
+  );
+  return event;
+}
+
+/** Events in the order they happened, optionally one reporter's or one type. */
+export async function listConsentEvents({ reporter, type } = {}) {
+  let txt = "";
+  try {
+    txt = await fs.promises.readFile(EVENTS_PATH, "utf8");
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const l of txt.split("\n")) {
+    if (!l.trim()) continue;
+    try {
+      const e = JSON.parse(l);
+      if (reporter && e.reporter !== reporter) continue;
+      if (type && e.type !== type) continue;
+      out.push(e);
+    } catch {}
+  }
+  return out;
+}
@@ -0,0 +1,248 @@
+// data/consentIndex.js
+// The NGO's index of consented journal resources: one row per entry a refugee
+// shared, with the organisations it was shared with. Kept in SQLite (see
+// db.js); consented-journals.jsonl, the index from before, is loaded into an
+// empty database on first start (or with scripts/import-consent-index.js).
+// Every write to it goes through here.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { getDb } from "./db.js";
+import { rowOrganisations } from "./organisations.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const LEGACY_PATH = path.resolve(__dirname, "consented-journals.jsonl");
+
+/** Compare resource URLs loosely: decoded, no fragment, no trailing slash. */
+export function normalizeUrl(u) {
+  if (!u) return "";
+  try {
+    // decode, trim trailing slashes, lowercase scheme/host
+    const dec = decodeURIComponent(String(u).trim());
+    const url = new URL(dec);
+    url.hash = "";
+    // normalize host & protocol to lowercase; keep path/query as-is
+    const norm = `${url.protocol.toLowerCase()}//${url.host.toLowerCase()}${url.pathname.replace(/\/+$/, "")}${url.search}`;
+    return norm;
+  } catch {
+    // not a valid URL; best-effort normalization
+    return String(u).trim().replace(/\/+$/, "");
+  }
+}
+
+// row field -> column; anything else a caller stores goes into `extra` (JSON)
+const COLUMNS = {
+  url: "url",
+  timestamp_iso: "timestamp_iso",
+  expires_iso: "expires_iso",
+  modified_iso: "modified_iso",
+  reporter_email: "reporter_email",
+  reporter_webId: "reporter_webid",
+  date_event: "date_event",
+  location_display_name: "location_display_name",
+  receipt_id: "receipt_id",
+};
+
+const SELECT = `
+  SELECT e.*, (
+    SELECT json_group_array(o.organisation)
+    FROM consented_entry_organisations o WHERE o.entry_id = e.id
+  ) AS organisation_list
+  FROM consented_entries e`;
+
+function fromDb(r) {
+  const row = { organisations: JSON.parse(r.organisation_list) };
+  for (const [field, column] of Object.entries(COLUMNS)) row[field] = r[column];
+  return { ...JSON.parse(r.extra), ...row };
+}
+
+function toDb(row) {
+  const values = { url_key: normalizeUrl(row.url), extra: {} };
+  for (const [field, column] of Object.entries(COLUMNS))
+    values[column] = row[field] ?? null;
+  for (const [k, v] of Object.entries(row)) {
+    if (!(k in COLUMNS) && k !== "organisations") values.extra[k] = v;
+  }
+  values.extra = JSON.stringify(values.extra);
+  return values;
+}
+
+function setOrganisations(db, entryId, organisations) {
+  db.prepare(
+    "DELETE FROM consented_entry_organisations WHERE entry_id = ?",
+  ).run(entryId);
+  const insert = db.prepare(
+    "INSERT OR IGNORE INTO consented_entry_organisations (entry_id, organisation) VALUES (?, ?)",
+  );
+  for (const org of organisations) insert.run(entryId, org);
+}
+
+// all rows with their database ids, optionally only matching ones
+function selectRows(db, { organisation, reporter, url } = {}) {
+  const where = [];
+  const params = [];
+  if (organisation) {
+    where.push(
+      "EXISTS (SELECT 1 FROM consented_entry_organisations o WHERE o.entry_id = e.id AND o.organisation = ?)",
+    );
+    params.push(organisation);
+  }
+  if (reporter) {
+    where.push("e.reporter_email = ?");
+    params.push(reporter);
+  }
+  if (url) {
+    where.push("e.url_key = ?");
+    params.push(normalizeUrl(url));
+  }
+  const sql = `${SELECT} ${where.length ? "WHERE " + where.join(" AND ") : ""}
+    ORDER BY COALESCE(e.timestamp_iso, ''), e.id`;
+  return db
+    .prepare(sql)
+    .all(...params)
+    .map((r) => ({ id: r.id, row: fromDb(r) }));
+}
+
+/**
+ * Index rows in the order they were shared, optionally only those shared with
+ * `organisation`, from `reporter` (email) or for one resource `url`.
+ */
+export async function readConsentIndex(filter = {}) {
+  return selectRows(getDb(), filter).map((r) => r.row);
+}
+
+/**
+ * Add the index row of a consented resource, or replace it if the resource is
+ * indexed already (a re-share), in one transaction.
+ */
+export async function appendConsentedLink(entry) {
+  const db = getDb();
+  db.transaction(() => {
+    const v = toDb(entry);
+    const columns = Object.keys(v);
+    const { id } = db
+      .prepare(
+        `INSERT INTO consented_entries (${columns.join(", ")})
+         VALUES (${columns.map((k) => "@" + k).join(", ")})
+         ON CONFLICT (url_key) DO UPDATE SET ${columns
+           .filter((k) => k !== "url_key")
+           .map((k) => `${k} = excluded.${k}`)
+           .join(", ")}
+         RETURNING id`,
+      )
+      .get(v);
+    setOrganisations(db, id, rowOrganisations(entry));
+  })();
+}
+
+/**
+ * Apply `fn(row)` to the selected rows in one transaction: it returns the row
+ * to keep, a changed copy, or null to drop it. Returns whether any row changed.
+ */
+function rewriteConsentIndex(filter, fn) {
+  const db = getDb();
+  return db.transaction(() => {
+    let changed = false;
+    for (const { id, row } of selectRows(db, filter)) {
+      const next = fn(row);
+      if (next === row) continue;
+      changed = true;
+      if (!next) {
+        db.prepare("DELETE FROM consented_entries WHERE id = ?").run(id);
+        continue;
+      }
+      const v = toDb(next);
+      db.prepare(
+        `UPDATE consented_entries SET ${Object.keys(v)
+          .map((k) => `${k} = @${k}`)
+          .join(", ")} WHERE id = @id`,
+      ).run({ ...v, id });
+      setOrganisations(db, id, rowOrganisations(next));
+    }
+    return changed;
+  })();
+}
+
+/** Drop the rows of one resource. */
+export async function removeFromConsentIndex(url) {
+  return rewriteConsentIndex({ url }, () => null);
+}
+
+/** Keep only the rows `keep(row)` accepts (e.g. after probing dead links). */
+export async function pruneConsentIndex(keep) {
+  return rewriteConsentIndex({}, (row) => (keep(row) ? row : null));
+}
+
+/** Merge `changes` into the rows of one resource; false if it is not indexed. */
+export async function updateConsentIndexEntry(url, changes) {
+  return rewriteConsentIndex({ url }, (row) => ({ ...row, ...changes }));
+}
+
+/**
+ * Load a consented-journals.jsonl, one row per line. Resources the index
+ * already holds are skipped, so loading a file twice changes nothing; within
+ * the file a later line for a resource replaces an earlier one. Malformed
+ * lines are reported and skipped. Returns the counts.
+ */
+export async function importConsentIndexFile(file) {
+  const db = getDb();
+  const lines = (await fs.promises.readFile(file, "utf8")).split(/\r?\n/);
+  const indexed = new Set(
+    db.prepare("SELECT url_key FROM consented_entries").pluck().all(),
+  );
+  const counts = { imported: 0, skipped: 0, malformed: 0 };
+  for (const [i, l] of lines.entries()) {
+    if (!l.trim()) continue;
+    let row;
+    try {
+      row = JSON.parse(l);
+    } catch {
+      row = null;
+    }
+    if (!row?.url) {
+      console.warn(`⚠️ ${path.basename(file)} line ${i + 1}: not an index row`);
+      counts.malformed++;
+      continue;
+    }
+    if (indexed.has(normalizeUrl(row.url))) {
+      counts.skipped++;
+      continue;
+    }
+    await appendConsentedLink(row);
+    counts.imported++;
+  }
+  db.prepare(
+    `INSERT INTO consent_index_imports (file, imported_iso, rows)
+     VALUES (?, ?, ?)
+     ON CONFLICT (file) DO UPDATE SET
+       imported_iso = excluded.imported_iso, rows = excluded.rows`,
+  ).run(path.basename(file), new Date().toISOString(), counts.imported);
+  return counts;
+}
+
+/**
+ * On start: load consented-journals.jsonl (`file`) into a database that has
+ * never loaded it and has no rows yet, so a deployment moving to SQLite keeps
+ * the entries shared so far. Later starts leave the index alone, also once
+ * every entry has been withdrawn. Returns the counts, or null if nothing ran.
+ */
+export async function importLegacyConsentIndex(file = LEGACY_PATH) {
+  const db = getDb();
+  const loaded = db
+    .prepare("SELECT 1 FROM consent_index_imports WHERE file = ?")
+    .get(path.basename(file));
+  if (loaded || !fs.existsSync(file)) return null;
+  if (db.prepare("SELECT 1 FROM consented_entries LIMIT 1").get()) {
+    console.warn(
+      `⚠️ ${path.basename(file)} was never imported and the consent index is not empty; ` +
+        "run scripts/import-consent-index.js if its rows are missing",
+    );
+    return null;
+  }
+  const counts = await importConsentIndexFile(file);
+  console.log(
+    `🗄️ Consent index loaded from ${path.basename(file)}: ${counts.imported} rows`,
+  );
+  return counts;
+}
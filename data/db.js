@@ -0,0 +1,92 @@
+// data/db.js
+// The NGO's SQLite database (better-sqlite3), opened on first use. Schema
+// changes are numbered migrations, applied in order and tracked in
+// PRAGMA user_version; add new ones at the end, never edit applied ones.
+import path from "path";
+import Database from "better-sqlite3";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MIGRATIONS = [
+  // 1: consent index (was consented-journals.jsonl)
+  `
+  CREATE TABLE consented_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    url TEXT NOT NULL,
+    url_key TEXT NOT NULL,
+    timestamp_iso TEXT,
+    expires_iso TEXT,
+    modified_iso TEXT,
+    reporter_email TEXT,
+    reporter_webid TEXT,
+    date_event TEXT,
+    location_display_name TEXT,
+    receipt_id TEXT,
+    extra TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX consented_entries_url ON consented_entries (url_key);
+  CREATE INDEX consented_entries_reporter ON consented_entries (reporter_email);
+  CREATE INDEX consented_entries_date ON consented_entries (date_event);
+  CREATE INDEX consented_entries_expires ON consented_entries (expires_iso)
+    WHERE expires_iso IS NOT NULL;
+
+  CREATE TABLE consented_entry_organisations (
+    entry_id INTEGER NOT NULL REFERENCES consented_entries (id) ON DELETE CASCADE,
+    organisation TEXT NOT NULL,
+    PRIMARY KEY (entry_id, organisation)
+  );
+  CREATE INDEX consented_entry_organisations_org
+    ON consented_entry_organisations (organisation);
+  `,
+  // 2: one row per resource, so a re-share updates its row in place; and the
+  // JSONL files loaded into the index, so each is loaded once
+  `
+  DELETE FROM consented_entries WHERE id NOT IN (
+    SELECT MAX(id) FROM consented_entries GROUP BY url_key
+  );
+  DROP INDEX consented_entries_url;
+  CREATE UNIQUE INDEX consented_entries_url ON consented_entries (url_key);
+
+  CREATE TABLE consent_index_imports (
+    file TEXT PRIMARY KEY,
+    imported_iso TEXT NOT NULL,
+    rows INTEGER NOT NULL
+  );
+  `,
+];
+
+function migrate(db, to = MIGRATIONS.length) {
+  const from = db.pragma("user_version", { simple: true });
+  MIGRATIONS.slice(from, to).forEach((sql, i) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${from + i + 1}`);
+    })();
+    console.log(`🗄️ Database migrated to version ${from + i + 1}`);
+  });
+}
+
+/**
+ * Open the database at `file` and migrate it, up to schema `version` if given
+ * (tests use that to start from an older schema).
+ */
+export function openDb(file, { version } = {}) {
+  const conn = new Database(file);
+  // readers don't block the writer; concurrent writers wait instead of failing
+  conn.pragma("journal_mode = WAL");
+  conn.pragma("busy_timeout = 5000");
+  conn.pragma("foreign_keys = ON");
+  migrate(conn, version);
+  return conn;
+}
+
+let db = null;
+
+/** The open database (NGO_DB_PATH, default data/ngo.sqlite), migrated. */
+export function getDb() {
+  if (db) return db;
+  db = openDb(process.env.NGO_DB_PATH || path.resolve(__dirname, "ngo.sqlite"));
+  return db;
+}
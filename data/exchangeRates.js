@@ -0,0 +1,78 @@
+// data/exchangeRates.js
+// Offline, admin-maintained exchange rates so ransom amounts reported in
+// different currencies can be compared. Rates are keyed by date and give the
+// units of each currency per 1 BASE_CURRENCY.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const RATES_PATH = path.resolve(__dirname, "exchange-rates.json");
+
+export const BASE_CURRENCY = "USD";
+export const CURRENCY_RE = /^[A-Z]{3}$/; // ISO 4217
+
+// { "yyyy-mm-dd": { "EUR": 0.92, "LYD": 4.8, … } }
+function readRates() {
+  try {
+    return JSON.parse(fs.readFileSync(RATES_PATH, "utf8")).rates || {};
+  } catch {
+    return {};
+  }
+}
+
+// Read once at startup so conversions stay synchronous; writes keep it current
+let rates = readRates();
+
+async function persist() {
+  await fs.promises.writeFile(
+    RATES_PATH,
+    JSON.stringify({ base: BASE_CURRENCY, rates }, null, 2),
+  );
+}
+
+export function getRateTable() {
+  return { base: BASE_CURRENCY, rates: structuredClone(rates) };
+}
+
+/** Merge `{ CUR: rate }` into the table for `date`. */
+export async function setRates(date, values) {
+  rates = { ...rates, [date]: { ...rates[date], ...values } };
+  await persist();
+  return rates[date];
+}
+
+export async function deleteRates(date) {
+  if (!rates[date]) return false;
+  const { [date]: _, ...rest } = rates;
+  rates = rest;
+  await persist();
+  return true;
+}
+
+// Rate for `currency` on the latest table date on or before `date`; without an
+// earlier table, the earliest later one. Undated amounts use the newest rate.
+function rateFor(currency, date) {
+  const days = Object.keys(rates)
+    .filter((d) => rates[d][currency] > 0)
+    .sort();
+  if (!days.length) return null;
+  const day = date ? String(date).slice(0, 10) : null;
+  const before = day ? days.filter((d) => d <= day) : days;
+  const pick = before.length ? before[before.length - 1] : days[0];
+  return rates[pick][currency];
+}
+
+/**
+ * Amount in BASE_CURRENCY, or null when it is missing or no rate is known.
+ * Amounts without a currency are taken to be in BASE_CURRENCY already.
+ */
+export function toBaseAmount(amount, currency, date) {
+  const n = typeof amount === "string" ? Number(amount) : amount;
+  if (typeof n !== "number" || !isFinite(n)) return null;
+  const cur = currency ? String(currency).toUpperCase() : BASE_CURRENCY;
+  if (cur === BASE_CURRENCY) return n;
+  const rate = rateFor(cur, date);
+  return rate ? +(n / rate).toFixed(2) : null;
+}
@@ -0,0 +1,66 @@
+// data/incidentStore.js
+// Incidents: analyst-confirmed events that several journal entries describe.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const INCIDENTS_PATH = path.resolve(__dirname, "incidents.json");
+
+export const INCIDENT_STATUSES = ["open", "closed"];
+
+async function loadIncidents() {
+  try {
+    return JSON.parse(await fs.promises.readFile(INCIDENTS_PATH, "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+async function saveIncidents(list) {
+  await fs.promises.writeFile(INCIDENTS_PATH, JSON.stringify(list, null, 2));
+}
+
+export async function listIncidents() {
+  return loadIncidents();
+}
+
+export async function getIncident(id) {
+  return (await loadIncidents()).find((x) => x.id === id) || null;
+}
+
+export async function createIncident(data, by) {
+  const list = await loadIncidents();
+  const now = new Date().toISOString();
+  const incident = {
+    id: crypto.randomUUID(),
+    title: data.title || "Untitled incident",
+    status: "open",
+    bucketId: data.bucketId || null,
+    entryIds: data.entryIds,
+    fields: data.fields,
+    notes: data.notes || "",
+    createdAt: now,
+    createdBy: by,
+    updatedAt: now,
+    updatedBy: by,
+  };
+  list.push(incident);
+  await saveIncidents(list);
+  return incident;
+}
+
+/** Apply `update(incident)` and persist; returns the updated incident or null. */
+export async function updateIncident(id, update, by) {
+  const list = await loadIncidents();
+  const idx = list.findIndex((x) => x.id === id);
+  if (idx === -1) return null;
+  const next = { ...update(structuredClone(list[idx])) };
+  next.updatedAt = new Date().toISOString();
+  next.updatedBy = by;
+  list[idx] = next;
+  await saveIncidents(list);
+  return next;
+}
@@ -0,0 +1,238 @@
+// data/journalResources.js
+// Reads consented journal resources (.ttl) back from the Solid Pod and turns the
+// schema:Event + schema:Place written by buildJournalDataset (server.js) into
+// plain fields the similarity engine understands.
+import {
+  getSolidDataset,
+  getThingAll,
+  getThing,
+  getUrl,
+  getUrlAll,
+  getStringNoLocale,
+  getStringNoLocaleAll,
+  getInteger,
+  getDecimal,
+} from "@inrupt/solid-client";
+
+// Keep in sync with the vocabulary used by buildJournalDataset
+const RDF_TYPE = "http://www.w3.org/1999/02/22-rdf-syntax-ns#type";
+const SCHEMA = "https://schema.org/";
+const WGS84 = "http://www.w3.org/2003/01/geo/wgs84_pos#";
+const DCT = "http://purl.org/dc/terms/";
+const VCARD_COUNTRY = "http://www.w3.org/2006/vcard/ns#country-name";
+// Before amounts carried a currency the journal form asked for USD
+const LEGACY_RANSOM_CURRENCY = "USD";
+
+// url -> { validator, fields, checkedAt }
+const cache = new Map();
+// How long a cached resource is used without asking the Pod whether it
+// changed. Edits made through this server invalidate it straight away; this
+// only bounds how late a change made directly in the Pod shows up.
+export const JOURNAL_CACHE_TTL_MS = 10 * 60 * 1000;
+
+const str = (v) => {
+  const s = (v ?? "").toString().trim();
+  return s || null;
+};
+
+function toRansom(raw) {
+  const s = str(raw);
+  if (!s) return null;
+  const n = Number(s.replace(/[^\d.-]/g, ""));
+  return /\d/.test(s) && isFinite(n) ? n : null; // "unknown" => null
+}
+
+// schema:monetaryAmount is either a schema:MonetaryAmount node (value +
+// currency) or, in older entries, a bare string literal
+function readRansom(dataset, event) {
+  const iri = getUrl(event, SCHEMA + "monetaryAmount");
+  const node = iri && getThing(dataset, iri);
+  if (node) {
+    const value = getDecimal(node, SCHEMA + "value");
+    return {
+      ransom: value,
+      ransomCurrency:
+        value == null
+          ? null
+          : str(getStringNoLocale(node, SCHEMA + "currency"))?.toUpperCase() ||
+            null,
+    };
+  }
+  const ransom = toRansom(getStringNoLocale(event, SCHEMA + "monetaryAmount"));
+  return {
+    ransom,
+    ransomCurrency: ransom == null ? null : LEGACY_RANSOM_CURRENCY,
+  };
+}
+
+/** Parse a journal dataset into flat fields (null when a value is missing). */
+export function parseJournalDataset(dataset, resourceUrl) {
+  const things = getThingAll(dataset);
+  const event =
+    things.find((t) => getUrlAll(t, RDF_TYPE).includes(SCHEMA + "Event")) ||
+    getThing(dataset, String(resourceUrl).replace(/\.ttl$/i, ""));
+  if (!event) return null;
+
+  const placeIri = getUrl(event, SCHEMA + "location");
+  const place =
+    (placeIri && getThing(dataset, placeIri)) ||
+    things.find((t) => getUrlAll(t, RDF_TYPE).includes(SCHEMA + "Place")) ||
+    null;
+
+  const lat = place ? getDecimal(place, WGS84 + "lat") : null;
+  const lon = place ? getDecimal(place, WGS84 + "long") : null;
+  // buildJournalDataset writes 0/0 when no coordinates were picked
+  const hasCoords = lat != null && lon != null && !(lat === 0 && lon === 0);
+
+  const strAll = (p) =>
+    getStringNoLocaleAll(event, p)
+      .map((s) => s.trim())
+      .filter(Boolean);
+
+  return {
+    created: str(getStringNoLocale(event, DCT + "created")),
+    modified: str(getStringNoLocale(event, DCT + "modified")),
+    date: str(getStringNoLocale(event, SCHEMA + "startDate")),
+    total: getInteger(event, SCHEMA + "numberOfItems"),
+    male: getInteger(event, SCHEMA + "maleCount"),
+    female: getInteger(event, SCHEMA + "femaleCount"),
+    kids: getInteger(event, SCHEMA + "childrenCount"),
+    ...readRansom(dataset, event),
+    transport: str(getStringNoLocale(event, SCHEMA + "vehicle")),
+    eventTypes: strAll(SCHEMA + "eventType"),
+    conditions: strAll(SCHEMA + "healthCondition"),
+    location: place ? str(getStringNoLocale(place, SCHEMA + "name")) : null,
+    country: place ? str(getStringNoLocale(place, VCARD_COUNTRY)) : null,
+    lat: hasCoords ? lat : null,
+    lon: hasCoords ? lon : null,
+    placeId: place ? str(getStringNoLocale(place, SCHEMA + "identifier")) : null,
+  };
+}
+
+/**
+ * Parse a journal dataset back into the JSON the journal form posts (see
+ * public/journal.html), so an entry can be edited and saved again.
+ */
+export function parseJournalForm(dataset, resourceUrl) {
+  const f = parseJournalDataset(dataset, resourceUrl);
+  if (!f) return null;
+  // schema:identifier is "<osm_type>:<osm_id>" (just the id without a type)
+  const sep = (f.placeId || "").indexOf(":");
+  // a bare "unknown" literal is what the form writes for an unknown amount
+  const event =
+    getThing(dataset, String(resourceUrl).replace(/\.ttl$/i, "")) || null;
+  const literal = event
+    ? str(getStringNoLocale(event, SCHEMA + "monetaryAmount"))
+    : null;
+  return {
+    url: resourceUrl,
+    created: f.created,
+    modified: f.modified,
+    date: f.date,
+    location: {
+      text: f.location,
+      display_name: f.location,
+      lat: f.lat,
+      lon: f.lon,
+      country_iso2: f.country,
+      osm_type: sep > 0 ? f.placeId.slice(0, sep) : null,
+      osm_id: (sep >= 0 ? f.placeId.slice(sep + 1) : f.placeId) || null,
+    },
+    people: {
+      males: f.male ?? 0,
+      females: f.female ?? 0,
+      kids: f.kids ?? 0,
+      total: f.total ?? 0,
+    },
+    ransom:
+      f.ransom ?? (literal && /^unknown$/i.test(literal) ? "unknown" : null),
+    ransomCurrency: f.ransomCurrency,
+    eventTypes: f.eventTypes,
+    transport: f.transport,
+    conditions: f.conditions,
+  };
+}
+
+/** ETag / Last-Modified of a resource, or null if the server gives neither. */
+async function probeValidator(url, fetchFn) {
+  try {
+    const r = await fetchFn(url, { method: "HEAD" });
+    if (!r.ok) return null;
+    return r.headers.get("etag") || r.headers.get("last-modified") || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load the journal fields of one resource. Cached per URL: a copy checked
+ * within `maxAge` ms is used as is; an older one is re-fetched only when the
+ * resource's validator (ETag / Last-Modified) changed or is unavailable.
+ * maxAge: 0 always asks the Pod.
+ */
+export async function loadJournalFields(
+  url,
+  { fetch: fetchFn, maxAge = JOURNAL_CACHE_TTL_MS } = {},
+) {
+  const hit = cache.get(url);
+  if (hit && Date.now() - hit.checkedAt < maxAge) return hit.fields;
+
+  const f = fetchFn || globalThis.fetch;
+  const validator = await probeValidator(url, f);
+  if (hit && validator && hit.validator === validator) {
+    hit.checkedAt = Date.now();
+    return hit.fields;
+  }
+
+  const ds = await getSolidDataset(url, { fetch: f });
+  const fields = parseJournalDataset(ds, url);
+  cache.set(url, { validator, fields, checkedAt: Date.now() });
+  return fields;
+}
+
+/** Drop a cached resource (e.g. after it was deleted or edited). */
+export function invalidateJournalFields(url) {
+  if (url) cache.delete(url);
+  else cache.clear();
+}
+
+/**
+ * Merge the Pod values into consent-index rows. Rows that cannot be read keep
+ * what the index has. Limited concurrency, same as the NGO list probe.
+ * `maxAge` as for loadJournalFields.
+ */
+export async function hydrateRows(
+  rows,
+  { concurrency = 6, fetch, maxAge } = {},
+) {
+  const out = rows.slice();
+  let i = 0;
+
+  async function worker() {
+    while (i < out.length) {
+      const idx = i++;
+      const row = out[idx];
+      if (!row?.link) continue;
+      try {
+        const fields = await loadJournalFields(row.link, { fetch, maxAge });
+        if (!fields) continue;
+        const merged = { ...row };
+        for (const [k, v] of Object.entries(fields)) {
+          if (v != null) merged[k] = v;
+        }
+        out[idx] = merged;
+      } catch (e) {
+        console.warn(
+          "⚠️ Could not hydrate journal entry:",
+          row.link,
+          e?.message || e,
+        );
+      }
+    }
+  }
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, out.length) }, () => worker()),
+  );
+  return out;
+}
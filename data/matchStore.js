@@ -0,0 +1,81 @@
+// data/matchStore.js
+// "Possible matches" queue: new consented entries that resemble existing
+// entries or open incidents, waiting for NGO review.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const MATCHES_PATH = path.resolve(__dirname, "possible-matches.json");
+
+export const MATCH_STATUSES = ["pending", "confirmed", "dismissed"];
+
+async function loadMatches() {
+  try {
+    return JSON.parse(await fs.promises.readFile(MATCHES_PATH, "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+async function saveMatches(list) {
+  await fs.promises.writeFile(MATCHES_PATH, JSON.stringify(list, null, 2));
+}
+
+export async function listMatches(status) {
+  const list = await loadMatches();
+  return status ? list.filter((m) => m.status === status) : list;
+}
+
+export async function getMatch(id) {
+  return (await loadMatches()).find((m) => m.id === id) || null;
+}
+
+/** Queue matches; an entry/candidate pair already queued is not added twice. */
+export async function enqueueMatches(matches) {
+  if (!matches.length) return [];
+  const list = await loadMatches();
+  const key = (m) => `${m.entryId}|${m.candidate.type}|${m.candidate.id}`;
+  const seen = new Set(list.map(key));
+  const now = new Date().toISOString();
+  const added = [];
+  for (const m of matches) {
+    if (seen.has(key(m))) continue;
+    seen.add(key(m));
+    const item = {
+      id: crypto.randomUUID(),
+      ...m,
+      status: "pending",
+      createdAt: now,
+    };
+    list.push(item);
+    added.push(item);
+  }
+  await saveMatches(list);
+  return added;
+}
+
+export async function reviewMatch(id, status, by) {
+  const list = await loadMatches();
+  const match = list.find((m) => m.id === id);
+  if (!match) return null;
+  match.status = status;
+  match.reviewedBy = by;
+  match.reviewedAt = new Date().toISOString();
+  await saveMatches(list);
+  return match;
+}
+
+/** Remove the matches an entry is part of (as the new entry or a candidate). */
+export async function forgetEntry(entryId) {
+  const list = await loadMatches();
+  const kept = list.filter(
+    (m) =>
+      m.entryId !== entryId &&
+      !(m.candidate.type === "entry" && m.candidate.id === entryId),
+  );
+  if (kept.length !== list.length) await saveMatches(kept);
+  return list.length - kept.length;
+}
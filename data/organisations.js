@@ -0,0 +1,97 @@
+// data/organisations.js
+// Registry of the organisations a refugee can share journal entries with
+// (legal aid, medical, UNHCR partners, ...): each has a WebID that gets the
+// read grant and the email domains of its staff accounts.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const ORGANISATIONS_PATH = path.resolve(__dirname, "organisations.json");
+
+export const ID_RE = /^[a-z0-9_-]+$/;
+
+// The NGO running this server. Consented entries from before the registry
+// existed were shared with it (NGO_WEBID) and nobody else.
+export const DEFAULT_ORGANISATION = "ngo";
+
+function defaultRegistry() {
+  return [
+    {
+      id: DEFAULT_ORGANISATION,
+      name: "NGO",
+      description: "The organisation running this service.",
+      webId: process.env.NGO_WEBID || "https://example-ngo.org/profile/card#me",
+      emailDomains: ["ngo.com"],
+    },
+  ];
+}
+
+function readOrganisations() {
+  try {
+    return JSON.parse(fs.readFileSync(ORGANISATIONS_PATH, "utf8"));
+  } catch {
+    return defaultRegistry();
+  }
+}
+
+// Read on first use (after dotenv has run, for NGO_WEBID) and kept in memory so
+// the session middleware can look staff up synchronously
+let organisations = null;
+const current = () => (organisations ??= readOrganisations());
+
+export function listOrganisations() {
+  return structuredClone(current());
+}
+
+export function getOrganisation(id) {
+  const org = current().find((o) => o.id === id);
+  return org ? structuredClone(org) : null;
+}
+
+/** The organisation a staff account belongs to, by its email domain. */
+export function organisationForEmail(email) {
+  const domain = String(email || "")
+    .split("@")[1]
+    ?.toLowerCase();
+  if (!domain) return null;
+  return (
+    current().find((o) =>
+      (o.emailDomains || []).some((d) => d.toLowerCase() === domain),
+    ) || null
+  );
+}
+
+/** Organisations a consent-index row was shared with (legacy rows: the NGO). */
+export function rowOrganisations(row) {
+  return Array.isArray(row?.organisations)
+    ? row.organisations
+    : [DEFAULT_ORGANISATION];
+}
+
+/** Create or replace an organisation. */
+export async function saveOrganisation(org) {
+  const list = current();
+  const next = list.some((o) => o.id === org.id)
+    ? list.map((o) => (o.id === org.id ? org : o))
+    : [...list, org];
+  await save(next);
+  return org;
+}
+
+export async function deleteOrganisation(id) {
+  const list = current();
+  const next = list.filter((o) => o.id !== id);
+  if (next.length === list.length) return false;
+  await save(next);
+  return true;
+}
+
+async function save(next) {
+  await fs.promises.writeFile(
+    ORGANISATIONS_PATH,
+    JSON.stringify(next, null, 2),
+  );
+  organisations = next;
+}
@@ -0,0 +1,59 @@
+// data/presetStore.js
+// Named similarity presets (weights, threshold, tolerances, strategy) shared by
+// the NGO team so an analysis can be re-run the same way by anyone.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const PRESETS_PATH = path.resolve(__dirname, "similarity-presets.json");
+
+async function loadPresets() {
+  try {
+    return JSON.parse(await fs.promises.readFile(PRESETS_PATH, "utf8"));
+  } catch {
+    return [];
+  }
+}
+
+async function savePresets(list) {
+  await fs.promises.writeFile(PRESETS_PATH, JSON.stringify(list, null, 2));
+}
+
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+export async function listPresets() {
+  return loadPresets();
+}
+
+export async function getPreset(name) {
+  return (await loadPresets()).find((p) => sameName(p.name, name)) || null;
+}
+
+/** Create or replace the preset called `settings.name`. */
+export async function savePreset(settings, by) {
+  const list = await loadPresets();
+  const now = new Date().toISOString();
+  const idx = list.findIndex((p) => sameName(p.name, settings.name));
+  const prev = idx === -1 ? null : list[idx];
+  const preset = {
+    ...settings,
+    createdAt: prev?.createdAt || now,
+    createdBy: prev?.createdBy || by,
+    updatedAt: now,
+    updatedBy: by,
+  };
+  if (prev) list[idx] = preset;
+  else list.push(preset);
+  await savePresets(list);
+  return preset;
+}
+
+export async function deletePreset(name) {
+  const list = await loadPresets();
+  const kept = list.filter((p) => !sameName(p.name, name));
+  if (kept.length === list.length) return false;
+  await savePresets(kept);
+  return true;
+}
@@ -0,0 +1,89 @@
+// data/receiptStore.js
+// The NGO's copy of every signed consent receipt (append-only). A receipt is
+// current until a later receipt names it in dct:replaces: a new one when the
+// sharing changes or is extended, a closing one when consent is withdrawn or
+// expires.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { normalizeUrl } from "./consentIndex.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const RECEIPTS_PATH = path.resolve(__dirname, "consent-receipts.jsonl");
+
+const statusOf = (receipt) => receipt["dpv:hasConsentStatus"]?.["@id"];
+const entryOf = (receipt) => receipt["dpv:hasPersonalData"]?.["@id"];
+
+async function loadRecords() {
+  let txt = "";
+  try {
+    txt = await fs.promises.readFile(RECEIPTS_PATH, "utf8");
+  } catch {
+    return [];
+  }
+  const out = [];
+  for (const l of txt.split("\n")) {
+    if (!l.trim()) continue;
+    try {
+      out.push(JSON.parse(l));
+    } catch {}
+  }
+  return out;
+}
+
+/**
+ * Keep a signed receipt. `reporter` (email) and `podUrl` (where the copy in the
+ * Pod was written, or null) are bookkeeping outside the signed document.
+ */
+export async function saveReceipt(receipt, { reporter = null, podUrl = null }) {
+  const record = {
+    id: receipt["@id"],
+    reporter,
+    podUrl,
+    storedAt: new Date().toISOString(),
+    receipt,
+  };
+  await fs.promises.appendFile(
+    RECEIPTS_PATH,
+    JSON.stringify(record) + "\n",
+    "utf8",
+  );
+  return record;
+}
+
+/** Stored receipts, oldest first, each with `current` (not replaced yet). */
+export async function listReceipts({ url, reporter } = {}) {
+  const records = await loadRecords();
+  const replaced = new Set(
+    records.map((r) => r.receipt["dct:replaces"]?.["@id"]).filter(Boolean),
+  );
+  const key = url ? normalizeUrl(url) : null;
+  const byId = new Map(records.map((r) => [r.id, r]));
+  return records
+    .filter((r) => !reporter || r.reporter === reporter)
+    .filter((r) => {
+      if (!key) return true;
+      if (normalizeUrl(entryOf(r.receipt)) === key) return true;
+      // a closing receipt also belongs to the entry it ended consent for
+      const ended = byId.get(r.receipt["dct:replaces"]?.["@id"]);
+      return !!ended && normalizeUrl(entryOf(ended.receipt)) === key;
+    })
+    .map((r) => ({ ...r, current: !replaced.has(r.id) }));
+}
+
+/** Receipts under which entries are shared right now (consent given, not replaced). */
+export async function listActiveReceipts() {
+  return (await listReceipts()).filter(
+    (r) => r.current && statusOf(r.receipt) === "dpv:ConsentGiven",
+  );
+}
+
+/** The receipt under which the entry is shared right now, or null. */
+export async function activeReceiptFor(url) {
+  const key = normalizeUrl(url);
+  const active = (await listActiveReceipts()).filter(
+    (r) => normalizeUrl(entryOf(r.receipt)) === key,
+  );
+  return active.at(-1) || null;
+}
@@ -0,0 +1,135 @@
+// data/similarityRules.js
+// One rule configuration for every similarity aspect: which comparator it uses
+// and its tolerances. The pairwise scorer and the bucket summariser both read
+// the tolerances derived from it (see services/similarServices.js).
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { DEFAULT_TOLERANCES } from "../similarity.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const RULES_PATH = path.resolve(__dirname, "similarity-rules.json");
+
+// aspect -> allowed comparators and rule param -> engine tolerance key
+export const RULE_SCHEMA = {
+  date: {
+    comparators: ["days"],
+    params: { toleranceDays: "dateDays", scaleDays: "dateScaleDays" },
+  },
+  location: {
+    comparators: ["distance"],
+    params: { radiusKm: "locationRadiusKm", scaleKm: "locationScaleKm" },
+  },
+  counts: {
+    comparators: ["difference"],
+    params: { perGroup: "countsPart", total: "countsTotal" },
+  },
+  ransom: {
+    comparators: ["relative"],
+    params: { relative: "ransomPct" },
+  },
+  eventTypes: {
+    comparators: ["jaccard", "overlap", "exact"],
+    comparatorKey: "eventTypesMeasure",
+    params: {},
+  },
+  transport: { comparators: ["exact"], params: {} },
+  conditions: {
+    comparators: ["jaccard", "overlap", "exact"],
+    comparatorKey: "conditionsMeasure",
+    params: {},
+  },
+};
+
+// Rules equivalent to DEFAULT_TOLERANCES
+function defaultRules() {
+  const rules = {};
+  for (const [aspect, schema] of Object.entries(RULE_SCHEMA)) {
+    const rule = {
+      comparator: schema.comparatorKey
+        ? DEFAULT_TOLERANCES.setMeasure
+        : schema.comparators[0],
+    };
+    for (const [param, key] of Object.entries(schema.params)) {
+      rule[param] = DEFAULT_TOLERANCES[key];
+    }
+    rules[aspect] = rule;
+  }
+  return rules;
+}
+
+/** Validate rules; returns { rules } with defaults filled in, or { error }. */
+export function parseRules(input) {
+  if (!input || typeof input !== "object") {
+    return { error: "Rules must be an object keyed by aspect" };
+  }
+  const unknown = Object.keys(input).filter((k) => !(k in RULE_SCHEMA));
+  if (unknown.length)
+    return { error: `Unknown aspect(s): ${unknown.join(", ")}` };
+
+  const rules = defaultRules();
+  for (const [aspect, rule] of Object.entries(input)) {
+    const schema = RULE_SCHEMA[aspect];
+    for (const [param, v] of Object.entries(rule || {})) {
+      if (param === "comparator") {
+        if (!schema.comparators.includes(v))
+          return {
+            error: `${aspect}.comparator must be one of: ${schema.comparators.join(", ")}`,
+          };
+      } else if (!(param in schema.params)) {
+        return { error: `Unknown rule ${aspect}.${param}` };
+      } else if (typeof v !== "number" || !isFinite(v) || v < 0) {
+        return { error: `${aspect}.${param} must be a non-negative number` };
+      }
+      rules[aspect][param] = v;
+    }
+  }
+  return { rules };
+}
+
+/** Engine tolerances (DEFAULT_TOLERANCES keys) described by `rules`. */
+export function rulesToTolerances(rules) {
+  const t = {};
+  for (const [aspect, schema] of Object.entries(RULE_SCHEMA)) {
+    const rule = rules[aspect] || {};
+    if (schema.comparatorKey) t[schema.comparatorKey] = rule.comparator;
+    for (const [param, key] of Object.entries(schema.params)) {
+      if (rule[param] != null) t[key] = rule[param];
+    }
+  }
+  return t;
+}
+
+// Read once at startup so the (synchronous) scorer can use it; saveRules
+// keeps the in-memory copy current.
+function readRules() {
+  try {
+    const { rules, error } = parseRules(
+      JSON.parse(fs.readFileSync(RULES_PATH, "utf8")),
+    );
+    if (error) throw new Error(error);
+    return rules;
+  } catch (e) {
+    if (e.code !== "ENOENT") {
+      console.warn("⚠️ Invalid similarity rules, using defaults:", e.message);
+    }
+    return defaultRules();
+  }
+}
+
+let current = readRules();
+
+export function getRules() {
+  return structuredClone(current);
+}
+
+export function getRuleTolerances() {
+  return rulesToTolerances(current);
+}
+
+export async function saveRules(rules) {
+  await fs.promises.writeFile(RULES_PATH, JSON.stringify(rules, null, 2));
+  current = rules;
+  return getRules();
+}
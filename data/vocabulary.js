@@ -0,0 +1,112 @@
+// data/vocabulary.js
+// Controlled vocabulary for the categorical journal fields (transport, event
+// types, conditions): canonical codes with labels in the supported languages
+// and synonyms. Used to store codes on save and to compare values.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { termKey } from "../similarity.js";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const VOCABULARY_PATH = path.resolve(__dirname, "vocabulary.json");
+
+export const VOCABULARY_FIELDS = ["transport", "eventTypes", "conditions"];
+export const LANGUAGES = ["en", "fr", "ar", "ti"];
+export const CODE_RE = /^[a-z0-9_]+$/;
+
+function readVocabulary() {
+  try {
+    return JSON.parse(fs.readFileSync(VOCABULARY_PATH, "utf8"));
+  } catch (e) {
+    console.warn("⚠️ Could not read vocabulary:", e.message);
+    return {};
+  }
+}
+
+// field -> { termKey -> code } over codes, labels and synonyms
+function buildLookup(vocab) {
+  const lookup = {};
+  for (const field of VOCABULARY_FIELDS) {
+    const map = (lookup[field] = {});
+    for (const [code, term] of Object.entries(vocab[field] || {})) {
+      const names = [
+        code,
+        ...Object.values(term.labels || {}),
+        ...(term.synonyms || []),
+      ];
+      for (const name of names) {
+        const k = termKey(name);
+        if (k && !(k in map)) map[k] = code;
+      }
+    }
+  }
+  return lookup;
+}
+
+// Read once at startup so the (synchronous) scorer can use it; writes keep it current
+let vocabulary = readVocabulary();
+let lookup = buildLookup(vocabulary);
+
+export function getVocabulary() {
+  return structuredClone(vocabulary);
+}
+
+/** { field: { termKey: code } }, passed to the engine as opts.vocabulary */
+export function getVocabularyLookup() {
+  return lookup;
+}
+
+/** Canonical code for a value, or the trimmed value itself when unknown. */
+export function canonicalTerm(field, value) {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+  return lookup[field]?.[termKey(raw)] ?? raw;
+}
+
+export function canonicalTerms(field, values) {
+  const out = (Array.isArray(values) ? values : [values])
+    .map((v) => canonicalTerm(field, v))
+    .filter(Boolean);
+  return [...new Set(out)];
+}
+
+/**
+ * Create or extend a term: labels are merged, synonyms added. Fails with
+ * { error } when a name already means a different code in the same field.
+ */
+export async function upsertTerm(field, code, { labels = {}, synonyms = [] }) {
+  const names = [...Object.values(labels), ...synonyms, code];
+  const taken = names.filter((n) => {
+    const owner = lookup[field]?.[termKey(n)];
+    return owner && owner !== code;
+  });
+  if (taken.length) {
+    return {
+      error: `Already used by another ${field} term: ${taken.join(", ")}`,
+    };
+  }
+
+  const next = structuredClone(vocabulary);
+  next[field] ||= {};
+  const cur = next[field][code] || { labels: {}, synonyms: [] };
+  cur.labels = { ...cur.labels, ...labels };
+  cur.synonyms = [...new Set([...cur.synonyms, ...synonyms])];
+  next[field][code] = cur;
+  await save(next);
+  return { term: cur };
+}
+
+export async function deleteTerm(field, code) {
+  if (!vocabulary[field]?.[code]) return false;
+  const next = structuredClone(vocabulary);
+  delete next[field][code];
+  await save(next);
+  return true;
+}
+
+async function save(next) {
+  await fs.promises.writeFile(VOCABULARY_PATH, JSON.stringify(next, null, 2));
+  vocabulary = next;
+  lookup = buildLookup(next);
+}
@@ -0,0 +1,9 @@
+// middleware/requireAdmin.js — NGO admins only (role set from the email domain
+// in server.js). Consented entries carry reporter emails, so every analysis
+// and registry route sits behind this.
+export function requireAdmin(req, res, next) {
+  if (!req.session || req.session.user?.role !== "admin") {
+    return res.status(403).send("Forbidden");
+  }
+  next();
+}
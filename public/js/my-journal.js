@@ -1,3 +1,15 @@
+// Organisation names come from the registry and entry ids from the Pod:
+// escape them before putting them in HTML
+function escapeHtml(v) {
+  return String(v ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+}
+
 (async function () {
   const privateList = document.getElementById("privateList");
   const publicList = document.getElementById("publicList");
@@ -5,7 +17,113 @@
   const pubTxt = document.getElementById("pubContainerTxt");
   const refreshBtn = document.getElementById("refreshBtn");
 
-  function renderEntries(el, data) {
+  // organisations an entry can be shared with (one read grant each)
+  let organisations = [];
+  try {
+    const res = await fetch("/api/organisations");
+    if (res.ok) organisations = await res.json();
+  } catch {}
+
+  function consentText({ organisations: ids = [], expires_iso }) {
+    const names = ids
+      .map((id) => organisations.find((o) => o.id === id)?.name || id)
+      .join(", ");
+    return expires_iso
+      ? `Shared with ${names} until ${new Date(expires_iso).toLocaleDateString()}`
+      : `Shared with ${names} until you withdraw it`;
+  }
+
+  async function extendConsent(url) {
+    const answer = prompt(
+      "Keep sharing for how many more days? (leave empty to share until you withdraw it)",
+      "90",
+    );
+    if (answer === null) return;
+    const days = answer.trim() ? Number(answer) : null;
+    if (days !== null && !(Number.isInteger(days) && days > 0))
+      return alert("Please enter a whole number of days.");
+    const r = await fetch("/journal/consent/extend", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ url, days }),
+    });
+    if (!r.ok) return alert("Failed to extend: " + (await r.text()));
+    alert((await r.json()).message);
+    await load();
+  }
+
+  async function changeConsent(url, consent, picked, consentDays) {
+    const r = await fetch("/journal/consent", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        url,
+        consent,
+        organisations: picked,
+        consentDays,
+      }),
+    });
+    if (!r.ok) {
+      alert("Failed to change consent: " + (await r.text()));
+      return false;
+    }
+    const out = await r.json();
+    alert(out.message);
+    await load();
+    return true;
+  }
+
+  // inline checklist under an entry; pre-ticks what it is shared with now
+  async function showSharePicker(entryEl, url, shared) {
+    if (entryEl.nextElementSibling?.classList.contains("share-picker")) return;
+    let current = [];
+    if (shared) {
+      const r = await fetch("/journal/entry?url=" + encodeURIComponent(url));
+      if (r.ok) current = (await r.json()).organisations || [];
+    } else if (organisations.length === 1) {
+      current = [organisations[0].id];
+    }
+    const picker = document.createElement("div");
+    picker.className = "share-picker";
+    picker.innerHTML = `
+      <div class="muted">Share with (read-only):</div>
+      ${organisations
+        .map(
+          (o) => `<label title="${escapeHtml(o.description)}">
+            <input type="checkbox" value="${escapeHtml(o.id)}" ${current.includes(o.id) ? "checked" : ""}/> ${escapeHtml(o.name)}
+          </label>`,
+        )
+        .join("")}
+      <label>For
+        <select class="days">
+          <option value="30">30 days</option>
+          <option value="90" selected>90 days</option>
+          <option value="365">1 year</option>
+          <option value="">until I withdraw it</option>
+        </select>
+      </label>
+      <div class="row">
+        <button class="btn confirm">${shared ? "Update sharing" : "Share"}</button>
+        <button class="btn secondary cancel">Cancel</button>
+      </div>
+    `;
+    picker
+      .querySelector(".cancel")
+      .addEventListener("click", () => picker.remove());
+    picker.querySelector(".confirm").addEventListener("click", async (ev) => {
+      const picked = [...picker.querySelectorAll("input:checked")].map(
+        (cb) => cb.value,
+      );
+      if (!picked.length) return alert("Pick at least one organisation.");
+      const days = picker.querySelector(".days").value;
+      ev.target.disabled = true;
+      if (!(await changeConsent(url, true, picked, days ? Number(days) : null)))
+        ev.target.disabled = false;
+    });
+    entryEl.after(picker);
+  }
+
+  function renderEntries(el, data, shared) {
     if (!data || !Array.isArray(data.entries) || data.entries.length === 0) {
       el.className = "empty";
       el.innerHTML = "No entries found.";
@@ -21,8 +139,14 @@
           <div><strong>${e.id}</strong></div>
           <div class="muted">date: ${e.date_hint || "—"}</div>
           <div class="muted"><code>${e.url}</code></div>
+          ${e.consent ? `<div class="muted">${escapeHtml(consentText(e.consent))}</div>` : ""}
+          ${e.consent?.receipt_id ? `<div class="muted"><a href="/journal/consent/receipts?url=${encodeURIComponent(e.url)}" target="_blank">Signed consent receipts</a></div>` : ""}
         </div>
         <div class="row">
+          <a class="btn" href="journal.html?edit=${encodeURIComponent(e.url)}">Edit</a>
+          <button class="btn secondary share" data-url="${e.url}">${shared ? "Change sharing…" : "Share…"}</button>
+          ${e.consent?.expires_iso ? `<button class="btn secondary extend" data-url="${e.url}">Extend…</button>` : ""}
+          ${shared ? `<button class="btn secondary withdraw" data-url="${e.url}">Withdraw consent</button>` : ""}
           <button class="btn danger" data-url="${e.url}">Delete</button>
         </div>
       `;
@@ -31,6 +155,36 @@
     el.innerHTML = "";
     el.appendChild(frag);
 
+    el.querySelectorAll("button.share").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        showSharePicker(
+          btn.closest(".entry"),
+          btn.getAttribute("data-url"),
+          shared,
+        ),
+      );
+    });
+
+    el.querySelectorAll("button.extend").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        extendConsent(btn.getAttribute("data-url")),
+      );
+    });
+
+    el.querySelectorAll("button.withdraw").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        if (
+          !confirm(
+            "Stop sharing this entry? No organisation will be able to read it.",
+          )
+        )
+          return;
+        btn.disabled = true;
+        if (!(await changeConsent(btn.getAttribute("data-url"), false)))
+          btn.disabled = false;
+      });
+    });
+
     // inside renderEntries(el, data) ... after we inject the list HTML
     el.querySelectorAll("button.btn.danger").forEach((btn) => {
       btn.addEventListener("click", async () => {
@@ -79,8 +233,8 @@
       const data = await res.json();
       privTxt.textContent = data?.private?.containerUrl || "";
       pubTxt.textContent = data?.public?.containerUrl || "";
-      renderEntries(privateList, data.private);
-      renderEntries(publicList, data.public);
+      renderEntries(privateList, data.private, false);
+      renderEntries(publicList, data.public, true);
     } catch (e) {
       privateList.innerHTML = "Failed to load.";
       publicList.innerHTML = "Failed to load.";
@@ -1,22 +1,31 @@
+// The engine itself is served from the repo root (see server.js), so the page
+// and the API share one implementation of the rules.
+import { ASPECT_KEYS } from "/js/shared/similarity.js";
+
+// Entry fields are refugee-supplied text: escape before putting them in HTML
+function escapeHtml(v) {
+  return String(v ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+}
+
 (async function () {
   const $ = (id) => document.getElementById(id);
   const resultsEl = $("results");
   const runBtn = $("runBtn");
+  let lastQuery = new URLSearchParams();
+  let page = 1;
 
   async function fetchBuckets() {
     runBtn.disabled = true;
     resultsEl.innerHTML = `<div class="card">Running similarity…</div>`;
 
     const threshold = Number($("threshold").value || 0.7);
-    const weights = {
-      date: Number($("wDate").value),
-      location: Number($("wLocation").value),
-      counts: Number($("wCounts").value),
-      ransom: Number($("wRansom").value),
-      eventTypes: Number($("wEvent").value),
-      transport: Number($("wTransport").value),
-      conditions: Number($("wConditions").value),
-    };
+    const weights = readWeights();
 
     // normalize weights to sum to 1 (keeps UI intuitive)
     const sum = Object.values(weights).reduce((a, b) => a + b, 0) || 1;
@@ -26,9 +35,32 @@
     const qs = new URLSearchParams({
       threshold: String(threshold),
       weights: JSON.stringify(weights),
+      mode: $("mode").value || "graded",
+      strategy: $("strategy").value || "single",
+      reporterMode: $("reporterMode").value || "merge",
+      radiusKm: String(Number($("radiusKm").value) || 1),
       minsize: "2",
     });
-    const res = await fetch(`/api/entries/similar?${qs.toString()}`);
+    // server-side filters: only cluster the matching entries
+    const filters = {
+      from: $("fFrom").value,
+      to: $("fTo").value,
+      country: $("fCountry").value.trim(),
+      eventType: $("fEventType").value.trim(),
+      reporter: $("fReporter").value.trim(),
+    };
+    for (const [k, v] of Object.entries(filters)) if (v) qs.set(k, v);
+    // the preset supplies settings the form doesn't show (tolerances, …)
+    if ($("preset").value) qs.set("preset", $("preset").value);
+    lastQuery = qs;
+    for (const a of document.querySelectorAll("a[data-export]")) {
+      const q = new URLSearchParams(qs);
+      q.set("format", a.dataset.export);
+      a.href = `/api/entries/similar/export?${q.toString()}`;
+    }
+    const pageQs = new URLSearchParams(qs);
+    pageQs.set("page", String(page));
+    const res = await fetch(`/api/entries/similar?${pageQs.toString()}`);
     if (!res.ok) {
       resultsEl.innerHTML = `<div class="card">Error: ${res.status} ${res.statusText}</div>`;
       runBtn.disabled = false;
@@ -37,181 +69,365 @@
     const data = await res.json();
     data.buckets = (data.buckets || []).filter((b) => (b.size || 0) >= 2);
     renderBuckets(data);
+    renderDuplicates(data);
+    renderPager(data.page);
+    fillExplainPickers(data.entryById || {});
     runBtn.disabled = false;
   }
 
-  // ---- helper funcs matching backend rules ----
-  function daysBetween(a, b) {
-    return Math.abs(+a - +b) / (1000 * 60 * 60 * 24);
-  }
-  function iso(d) {
-    const t = d ? new Date(d) : null;
-    return t && !isNaN(+t) ? t : null;
+  // One reporter filing the same situation more than once ("separate" mode)
+  function renderDuplicates(data) {
+    const el = $("duplicates");
+    const list = data.duplicates || [];
+    if (!list.length) {
+      el.style.display = "none";
+      return;
+    }
+    el.style.display = "block";
+    const entryById = data.entryById || {};
+    el.innerHTML = `
+      <h3 style="margin:0 0 8px">Repeated by the same reporter</h3>
+      <p class="muted">These entries match each other but come from one person, so they do not corroborate each other.</p>
+      ${list
+        .map(
+          (d) => `<div style="margin:8px 0">
+            <div class="small"><strong>${escapeHtml(d.reporter)}</strong> · ${d.size} entries</div>
+            <div class="small muted">${d.entryIds
+              .map((id) =>
+                entryById[id] ? entryLabel(entryById[id]) : escapeHtml(id),
+              )
+              .join(" | ")}</div>
+          </div>`,
+        )
+        .join("")}`;
   }
-  function allSame(arr) {
-    return arr.every((v) => String(v) === String(arr[0]));
+
+  function renderPager(p) {
+    const el = $("pager");
+    el.innerHTML = "";
+    if (!p || p.totalPages <= 1) return;
+    const btn = (label, target, disabled) => {
+      const b = document.createElement("button");
+      b.className = "btn";
+      b.textContent = label;
+      b.disabled = disabled;
+      b.addEventListener("click", () => {
+        page = target;
+        fetchBuckets();
+      });
+      return b;
+    };
+    el.appendChild(btn("← Previous", p.page - 1, p.page <= 1));
+    const info = document.createElement("span");
+    info.className = "muted";
+    info.textContent = `Page ${p.page} of ${p.totalPages} · ${p.totalBuckets} buckets`;
+    el.appendChild(info);
+    el.appendChild(btn("Next →", p.page + 1, p.page >= p.totalPages));
   }
-  function arrEq(a, b) {
-    const A = Array.isArray(a) ? a.slice().sort() : [];
-    const B = Array.isArray(b) ? b.slice().sort() : [];
-    if (A.length !== B.length) return false;
-    for (let i = 0; i < A.length; i++)
-      if (String(A[i]) !== String(B[i])) return false;
-    return true;
+
+  // ---- named presets (stored server-side, shared by the team) ----
+  const WEIGHT_INPUTS = {
+    date: "wDate",
+    location: "wLocation",
+    counts: "wCounts",
+    ransom: "wRansom",
+    eventTypes: "wEvent",
+    transport: "wTransport",
+    conditions: "wConditions",
+  };
+
+  function readWeights() {
+    const weights = {};
+    for (const k of ASPECT_KEYS) weights[k] = Number($(WEIGHT_INPUTS[k]).value);
+    return weights;
   }
-  function prettyLoc(s) {
-    if (!s) return "";
-    return s
-      .split(",")
-      .map((x) => x.trim())
-      .filter(Boolean)
-      .map((x) => x.charAt(0).toUpperCase() + x.slice(1))
-      .join(", ");
+
+  async function loadPresets(selected) {
+    const res = await fetch("/api/similarity/presets");
+    if (!res.ok) return;
+    const list = await res.json();
+    $("preset").innerHTML =
+      `<option value="">(custom)</option>` +
+      list
+        .map(
+          (p) =>
+            `<option value="${escapeHtml(p.name)}" title="${escapeHtml(p.description)}">${escapeHtml(p.name)}</option>`,
+        )
+        .join("");
+    if (selected) $("preset").value = selected;
   }
 
-  function computeCommonAspects(bucket, entryById) {
-    const entries = bucket.entryIds.map((id) => entryById[id]).filter(Boolean);
-    const n = entries.length;
-    const out = [];
+  async function applyPreset() {
+    const name = $("preset").value;
+    if (!name) return;
+    const res = await fetch(
+      `/api/similarity/presets/${encodeURIComponent(name)}`,
+    );
+    if (!res.ok) return alert("Failed to load preset.");
+    const p = await res.json();
+    if (p.threshold != null) $("threshold").value = p.threshold;
+    if (p.mode) $("mode").value = p.mode;
+    if (p.strategy) $("strategy").value = p.strategy;
+    if (p.reporterMode) $("reporterMode").value = p.reporterMode;
+    if (p.tolerances?.locationRadiusKm != null)
+      $("radiusKm").value = p.tolerances.locationRadiusKm;
+    if (p.weights) {
+      // sliders run 0–1; only the proportions matter
+      const max = Math.max(...Object.values(p.weights), 0) || 1;
+      for (const [k, id] of Object.entries(WEIGHT_INPUTS))
+        $(id).value = (p.weights[k] ?? 1) / max;
+    }
+    page = 1;
+    fetchBuckets();
+  }
 
-    const daysBetween = (a, b) => Math.abs(+a - +b) / (1000 * 60 * 60 * 24);
-    const iso = (d) => {
-      const t = d ? new Date(d) : null;
-      return t && !isNaN(+t) ? t : null;
+  async function savePreset() {
+    const name = prompt("Preset name", $("preset").value || "");
+    if (!name) return;
+    const body = {
+      name,
+      threshold: Number($("threshold").value || 0.7),
+      weights: readWeights(),
+      mode: $("mode").value,
+      strategy: $("strategy").value,
+      reporterMode: $("reporterMode").value,
+      tolerances: { locationRadiusKm: Number($("radiusKm").value) || 1 },
     };
-    const prettyLoc = (s) =>
-      (s || "")
-        .split(",")
-        .map((x) => x.trim())
-        .filter(Boolean)
-        .map((x) => x.charAt(0).toUpperCase() + x.slice(1))
-        .join(", ");
-    const getNum = (x) => (typeof x === "number" && isFinite(x) ? x : null);
-
-    // DATE: all within ±1 day
-    const dateObjs = entries.map((e) => iso(e.date)).filter(Boolean);
-    if (dateObjs.length === n) {
-      const minD = new Date(Math.min(...dateObjs.map((d) => +d)));
-      const maxD = new Date(Math.max(...dateObjs.map((d) => +d)));
-      if (daysBetween(minD, maxD) <= 1) {
-        out.push({
-          label: "date",
-          value: `${minD.toISOString().slice(0, 10)} → ${maxD.toISOString().slice(0, 10)}`,
-        });
-      }
+    const send = (method, url) =>
+      fetch(url, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+    let res = await send("POST", "/api/similarity/presets");
+    if (res.status === 409) {
+      if (!confirm(`Overwrite preset "${name}"?`)) return;
+      res = await send(
+        "PUT",
+        `/api/similarity/presets/${encodeURIComponent(name)}`,
+      );
     }
+    if (!res.ok) return alert(`Failed to save preset: ${await res.text()}`);
+    await loadPresets(name);
+  }
 
-    // LOCATION: exact
-    const locs = entries.map((e) => (e.location || "").trim().toLowerCase());
-    if (locs.every((l) => l) && locs.every((l) => l === locs[0])) {
-      out.push({ label: "location", value: prettyLoc(locs[0]) });
-    }
+  // ---- analyst annotations (stored server-side per stable bucket ID) ----
+  const STATUS_LABELS = {
+    confirmed_incident: "confirmed incident",
+    false_positive: "false positive",
+    under_review: "under review",
+  };
+
+  function annotationForm(bucket) {
+    const a = bucket.annotation || {};
+    const wrap = document.createElement("div");
+    const notes = (a.notes || [])
+      .map(
+        (n) =>
+          `<div class="small"><span class="muted">${escapeHtml(n.at.slice(0, 10))} ${escapeHtml(n.by)}:</span> ${escapeHtml(n.text)}</div>`,
+      )
+      .join("");
+    wrap.innerHTML = `
+      <div class="muted small" style="margin:10px 0 6px">Analyst annotation</div>
+      ${notes}
+      <div class="row" style="margin-top:6px">
+        <select class="ann-status">
+          <option value="">— status —</option>
+          ${Object.entries(STATUS_LABELS)
+            .map(
+              ([v, label]) =>
+                `<option value="${v}"${a.status === v ? " selected" : ""}>${label}</option>`,
+            )
+            .join("")}
+        </select>
+        <input class="ann-note" type="text" placeholder="Add a note…" style="flex:1;min-width:200px">
+        <button class="btn ann-save">Save</button>
+        <button class="btn ann-incident" style="background:#111827">Create incident</button>
+      </div>`;
+    wrap.querySelector(".ann-save").addEventListener("click", async () => {
+      const res = await fetch(
+        `/api/buckets/${encodeURIComponent(bucket.bucketId)}/annotation`,
+        {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            status: wrap.querySelector(".ann-status").value || undefined,
+            note: wrap.querySelector(".ann-note").value,
+          }),
+        },
+      );
+      if (!res.ok) return alert("Failed to save annotation.");
+      fetchBuckets();
+    });
+    wrap.querySelector(".ann-incident").addEventListener("click", async () => {
+      const title = prompt("Incident title", bucket.summary?.location || "");
+      if (title === null) return;
+      const res = await fetch("/api/incidents", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          bucketId: bucket.bucketId,
+          entryIds: bucket.entryIds,
+          title,
+        }),
+      });
+      if (!res.ok)
+        return alert("Failed to create incident: " + (await res.text()));
+      const incident = await res.json();
+      alert(`Incident created (${incident.id}).`);
+    });
+    return wrap;
+  }
 
-    // HEADCOUNT: show the subfields that meet tolerance across all entries
-    const males = entries
-      .map((e) => getNum(e.counts?.male))
-      .filter((v) => v != null);
-    const females = entries
-      .map((e) => getNum(e.counts?.female))
-      .filter((v) => v != null);
-    const kids = entries
-      .map((e) => getNum(e.counts?.kids))
-      .filter((v) => v != null);
-    const totals = entries
-      .map((e) => {
-        const c = e.counts || {};
-        const t = getNum(c.total);
-        if (t != null) return t;
-        const m = getNum(c.male) || 0,
-          f = getNum(c.female) || 0,
-          k = getNum(c.kids) || 0;
-        return m + f + k;
-      })
-      .filter((v) => v != null);
-
-    const hs = [];
-    if (males.length === n) {
-      const min = Math.min(...males),
-        max = Math.max(...males);
-      if (max - min <= 1)
-        hs.push(`male ${min === max ? min : `${min}–${max}`}`);
-    }
-    if (females.length === n) {
-      const min = Math.min(...females),
-        max = Math.max(...females);
-      if (max - min <= 1)
-        hs.push(`female ${min === max ? min : `${min}–${max}`}`);
-    }
-    if (kids.length === n) {
-      const min = Math.min(...kids),
-        max = Math.max(...kids);
-      if (max - min <= 1)
-        hs.push(`kids ${min === max ? min : `${min}–${max}`}`);
-    }
-    if (totals.length === n) {
-      const min = Math.min(...totals),
-        max = Math.max(...totals);
-      if (max - min <= 3)
-        hs.push(`total ${min === max ? min : `${min}–${max}`}`);
-    }
-    if (hs.length) out.push({ label: "headcount", value: hs.join(", ") });
-
-    // RANSOM: ±10%
-    const ransoms = entries
-      .map((e) => getNum(e.ransom))
-      .filter((v) => v != null);
-    if (ransoms.length === n) {
-      const min = Math.min(...ransoms),
-        max = Math.max(...ransoms);
-      if ((max - min) / Math.max(max, 1) <= 0.1) {
-        const mean = (ransoms.reduce((a, b) => a + b, 0) / n).toFixed(2);
-        out.push({ label: "ransom", value: `≈ ${mean} (range ${min}–${max})` });
-      }
-    }
+  async function addConstraint(type) {
+    const res = await fetch("/api/entries/constraints", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        type,
+        a: $("explainA").value,
+        b: $("explainB").value,
+      }),
+    });
+    if (!res.ok) return alert("Failed to save: " + (await res.text()));
+    fetchBuckets();
+  }
 
-    // EVENT TYPE: show the INTERSECTION across all entries
-    const evs = entries.map((e) =>
-      Array.isArray(e.eventTypes) ? e.eventTypes.map(String) : [],
-    );
-    if (evs.every((arr) => Array.isArray(arr))) {
-      let common = evs[0] ? [...new Set(evs[0])] : [];
-      for (let i = 1; i < evs.length; i++) {
-        const set = new Set(evs[i].map(String));
-        common = common.filter((x) => set.has(String(x)));
-        if (!common.length) break;
-      }
-      if (common.length)
-        out.push({ label: "event type", value: common.join(", ") });
-      else out.push({ label: "event type", value: "—" });
+  // ---- per-pair explanations (scores come from the server) ----
+  const ASPECT_LABELS = {
+    date: "date",
+    location: "location",
+    counts: "headcount",
+    ransom: "ransom",
+    eventTypes: "event type",
+    transport: "transport",
+    conditions: "conditions",
+  };
+
+  // plain text; callers escape it
+  function valueText(v) {
+    if (v == null) return "—";
+    if (Array.isArray(v)) return v.length ? v.join(", ") : "—";
+    if (typeof v === "object") {
+      if ("name" in v || "geo" in v) return v.name || v.placeId || "—";
+      return Object.entries(v)
+        .filter(([, x]) => x != null)
+        .map(([k, x]) => `${k} ${x}`)
+        .join(", ");
     }
+    return String(v);
+  }
 
-    // TRANSPORT: exact
-    const trs = entries.map((e) => (e.transport || "").trim().toLowerCase());
-    if (trs.every((t) => t) && trs.every((t) => t === trs[0])) {
-      out.push({ label: "transport", value: trs[0] });
-    }
+  function aspectTable(aspects) {
+    const rows = ASPECT_KEYS.filter((key) => aspects?.[key]).map((key) => {
+      const a = aspects[key];
+      const extra =
+        a.distanceKm != null
+          ? ` <span class="muted small">(${a.distanceKm} km)</span>`
+          : "";
+      return `<tr${a.weight ? "" : ' class="muted"'}>
+        <td>${ASPECT_LABELS[key] || key}</td>
+        <td><strong>${a.score.toFixed(2)}</strong>${extra}</td>
+        <td class="muted small">×${a.weight}</td>
+        <td class="small">${escapeHtml(valueText(a.a))}</td>
+        <td class="small">${escapeHtml(valueText(a.b))}</td>
+      </tr>`;
+    });
+    return `<table class="small" style="width:100%;border-collapse:collapse">
+      <thead><tr class="muted"><th align="left">aspect</th><th align="left">score</th><th align="left">weight</th><th align="left">entry A</th><th align="left">entry B</th></tr></thead>
+      <tbody>${rows.join("")}</tbody></table>`;
+  }
 
-    // CONDITIONS: show the INTERSECTION across all entries
-    const cons = entries.map((e) =>
-      Array.isArray(e.conditions) ? e.conditions.map(String) : [],
+  // escaped, ready for HTML
+  function entryLabel(e) {
+    return escapeHtml(
+      [e.date || "—", e.location || ""].filter(Boolean).join(" · "),
     );
-    if (cons.every((arr) => Array.isArray(arr))) {
-      let common = cons[0] ? [...new Set(cons[0])] : [];
-      for (let i = 1; i < cons.length; i++) {
-        const set = new Set(cons[i].map(String));
-        common = common.filter((x) => set.has(String(x)));
-        if (!common.length) break;
-      }
-      if (common.length)
-        out.push({ label: "conditions", value: common.join(", ") });
-      else out.push({ label: "conditions", value: "—" });
+  }
+
+  function fillExplainPickers(entryById) {
+    const opts = Object.values(entryById)
+      .map(
+        (e) => `<option value="${escapeHtml(e.id)}">${entryLabel(e)}</option>`,
+      )
+      .join("");
+    $("explainA").innerHTML = opts;
+    $("explainB").innerHTML = opts;
+  }
+
+  async function explainPair() {
+    const out = $("explainOut");
+    const qs = new URLSearchParams(lastQuery);
+    qs.set("a", $("explainA").value);
+    qs.set("b", $("explainB").value);
+    out.innerHTML = "Comparing…";
+    const res = await fetch(`/api/entries/similar/explain?${qs.toString()}`);
+    if (!res.ok) {
+      out.innerHTML = `Error: ${res.status} ${res.statusText}`;
+      return;
     }
+    const x = await res.json();
+    out.innerHTML = `
+      <div class="row" style="margin:8px 0">
+        <span class="tag">score ${x.score.toFixed(2)}</span>
+        <span class="tag">threshold ${x.threshold}</span>
+        <strong>${x.matched ? "would match" : "would not match"}</strong>
+      </div>
+      ${aspectTable(x.aspects)}`;
+  }
 
-    return out;
+  // ---- possible matches queued when new entries are consented ----
+  async function loadMatches() {
+    const out = $("matchesOut");
+    const res = await fetch("/api/matches?status=pending");
+    if (!res.ok) {
+      out.innerHTML = `<span class="muted">Error: ${res.status} ${res.statusText}</span>`;
+      return;
+    }
+    const list = await res.json();
+    if (!list.length) {
+      out.innerHTML = `<span class="muted">Nothing to review.</span>`;
+      return;
+    }
+    out.innerHTML = "";
+    for (const m of list) {
+      const el = document.createElement("details");
+      const against =
+        m.candidate.type === "incident"
+          ? `incident “${escapeHtml(m.candidate.title || m.candidate.id)}”`
+          : `entry ${escapeHtml(m.candidate.id)}${m.candidate.sameReporter ? " (same reporter)" : ""}`;
+      el.innerHTML = `
+        <summary class="small">
+          <span class="tag">score ${m.score.toFixed(2)}</span>
+          ${escapeHtml(m.entryId)} ↔ ${against}
+        </summary>
+        ${aspectTable(m.aspects)}
+        <div class="row" style="margin:8px 0">
+          <button class="btn m-confirm" style="background:#047857">Confirm</button>
+          <button class="btn m-dismiss" style="background:#6b7280">Dismiss</button>
+        </div>`;
+      const review = async (status) => {
+        const r = await fetch(`/api/matches/${encodeURIComponent(m.id)}`, {
+          method: "PATCH",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ status }),
+        });
+        if (!r.ok) return alert("Failed to update match.");
+        loadMatches();
+      };
+      el.querySelector(".m-confirm").addEventListener("click", () =>
+        review("confirmed"),
+      );
+      el.querySelector(".m-dismiss").addEventListener("click", () =>
+        review("dismissed"),
+      );
+      out.appendChild(el);
+    }
   }
 
   function renderBuckets(data) {
     const { buckets = [], entryById = {} } = data;
+    const offset = data.page ? (data.page.page - 1) * data.page.pageSize : 0;
     const resultsEl = document.getElementById("results");
 
     if (!buckets.length) {
@@ -227,8 +443,16 @@
         .map((x) => x.charAt(0).toUpperCase() + x.slice(1))
         .join(", ");
 
-    const tag = (t) => `<span class="tag">${t}</span>`;
+    const tag = (t) => `<span class="tag">${escapeHtml(t)}</span>`;
     const dash = `<span class="muted small">—</span>`;
+    const setTags = (sets) => {
+      if (!sets) return "";
+      const shared = (sets.shared || []).map((x) => tag(String(x))).join(" ");
+      const differing = (sets.differing || []).length
+        ? `<span class="muted small">differs: ${escapeHtml(sets.differing.join(", "))}</span>`
+        : "";
+      return [shared, differing].filter(Boolean).join(" ");
+    };
 
     const container = document.createElement("div");
 
@@ -242,8 +466,16 @@
       header.className = "bucket-header";
       header.innerHTML = `
         <div>
-          <strong>Bucket ${idx + 1}</strong>
+          <strong>Bucket ${offset + idx + 1}</strong>
+          <span class="muted small">${escapeHtml(b.bucketId)}</span>
+          ${b.annotation?.status ? tag(STATUS_LABELS[b.annotation.status] || b.annotation.status) : ""}
           <span class="tag">size: ${b.size}</span>
+          <span class="tag" title="distinct reporters behind these entries">${b.corroboration === 1 ? "1 reporter" : `${b.corroboration} reporters`}</span>
+          ${
+            b.cohesion
+              ? `<span class="tag" title="lowest / mean similarity between any two entries">cohesion: min ${b.cohesion.min} · mean ${b.cohesion.mean}</span>`
+              : ""
+          }
         </div>
         <div class="muted small">click to expand</div>
       `;
@@ -264,7 +496,11 @@
       // location
       rows.push(`
         <div class="row"><div class="muted small" style="width:120px">location</div>
-          <div>${s.location ? tag(prettyLoc(s.location)) : dash}</div>
+          <div>${s.location ? tag(prettyLoc(s.location)) : dash}${
+            s.locationArea
+              ? ` <span class="muted small">centroid ${s.locationArea.centroid.lat}, ${s.locationArea.centroid.lon} · radius ${s.locationArea.radiusKm} km</span>`
+              : ""
+          }</div>
         </div>`);
 
       // headcount (ranges)
@@ -283,26 +519,16 @@
           <div>${headTags.length ? headTags.join(" ") : dash}</div>
         </div>`);
 
-      // ransom
+      // ransom (converted amounts, formatted by the engine)
       rows.push(`
         <div class="row"><div class="muted small" style="width:120px">ransom</div>
-          <div>${
-            s.ransom
-              ? tag(
-                  `≈ ${((s.ransom.min + s.ransom.max) / 2).toFixed(0)} (range ${s.ransom.min}–${s.ransom.max})`,
-                )
-              : dash
-          }</div>
+          <div>${s.ransomText ? tag(s.ransomText) : dash}</div>
         </div>`);
 
-      // event type (array)
-      const evTags =
-        Array.isArray(s.eventType) && s.eventType.length
-          ? s.eventType.map((x) => tag(String(x))).join(" ")
-          : "";
+      // event type (shared tags + values only some entries have)
       rows.push(`
         <div class="row"><div class="muted small" style="width:120px">event type</div>
-          <div>${evTags || dash}</div>
+          <div>${setTags(s.eventTypeSets) || dash}</div>
         </div>`);
 
       // transport
@@ -311,14 +537,10 @@
           <div>${s.transport ? tag(String(s.transport)) : dash}</div>
         </div>`);
 
-      // conditions (array)
-      const condTags =
-        Array.isArray(s.conditions) && s.conditions.length
-          ? s.conditions.map((x) => tag(String(x))).join(" ")
-          : "";
+      // conditions (shared tags + values only some entries have)
       rows.push(`
         <div class="row"><div class="muted small" style="width:120px">conditions</div>
-          <div>${condTags || dash}</div>
+          <div>${setTags(s.conditionSets) || dash}</div>
         </div>`);
 
       const similarBlock = `
@@ -341,24 +563,54 @@
         ]
           .filter(Boolean)
           .join(", ");
+        // as reported, plus the converted amount used for matching
+        const r = e.ransomReported;
+        const rstr = r
+          ? `ransom ${r.amount} ${r.currency}` +
+            (e.ransom == null
+              ? " (no exchange rate)"
+              : e.ransom !== r.amount
+                ? ` ≈ ${e.ransom}`
+                : "")
+          : "";
 
         const div = document.createElement("div");
         div.className = "entry";
         div.innerHTML = `
           <div>
-            <div><strong>${e.date || "—"}</strong></div>
-            <div class="muted small">${loc}</div>
-            <div class="muted small">${cstr}</div>
+            <div><strong>${escapeHtml(e.date || "—")}</strong></div>
+            <div class="muted small">${escapeHtml(loc)}</div>
+            <div class="muted small">${escapeHtml(cstr)}</div>
+            ${rstr ? `<div class="muted small">${escapeHtml(rstr)}</div>` : ""}
           </div>
         `;
         entriesWrap.appendChild(div);
       });
 
+      // Why these matched: above-threshold pairs inside this bucket
+      const inBucket = new Set(b.entryIds);
+      const why = (data.pairwise || [])
+        .filter((p) => inBucket.has(p.a) && inBucket.has(p.b))
+        .map(
+          (p) => `
+          <details style="margin:4px 0">
+            <summary class="small">${entryLabel(entryById[p.a] || { id: p.a })} ↔ ${entryLabel(entryById[p.b] || { id: p.b })} — score ${p.score}</summary>
+            ${aspectTable(p.aspects)}
+          </details>`,
+        )
+        .join("");
+
       body.innerHTML = `
         ${similarBlock}
         <div class="muted small" style="margin:10px 0 6px">Entries in this bucket</div>
       `;
       body.appendChild(entriesWrap);
+      body.appendChild(annotationForm(b));
+      if (why) {
+        const whyEl = document.createElement("div");
+        whyEl.innerHTML = `<div class="muted small" style="margin:10px 0 6px">Why these matched</div>${why}`;
+        body.appendChild(whyEl);
+      }
 
       header.addEventListener("click", () => {
         body.style.display = body.style.display === "none" ? "block" : "none";
@@ -373,6 +625,25 @@
     resultsEl.appendChild(container);
   }
 
-  runBtn.addEventListener("click", fetchBuckets);
+  runBtn.addEventListener("click", () => {
+    page = 1;
+    fetchBuckets();
+  });
+  $("explainBtn").addEventListener("click", explainPair);
+  $("pinBtn").addEventListener("click", () => addConstraint("pin"));
+  $("splitBtn").addEventListener("click", () => addConstraint("split"));
+  $("preset").addEventListener("change", applyPreset);
+  $("savePresetBtn").addEventListener("click", savePreset);
+  // start from the configured location radius (data/similarity-rules.json)
+  try {
+    const res = await fetch("/api/similarity/rules");
+    if (res.ok) {
+      const { rules } = await res.json();
+      if (rules?.location?.radiusKm != null)
+        $("radiusKm").value = rules.location.radiusKm;
+    }
+  } catch {}
   fetchBuckets();
+  loadMatches();
+  loadPresets();
 })();
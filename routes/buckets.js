@@ -0,0 +1,77 @@
+// routes/buckets.js — analyst state around similarity buckets (NGO admins only)
+import { Router } from "express";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import {
+  BUCKET_STATUSES,
+  CONSTRAINT_TYPES,
+  getAnnotations,
+  annotateBucket,
+  getConstraints,
+  addConstraint,
+  removeConstraint,
+} from "../data/bucketStore.js";
+
+const router = Router();
+
+// GET /api/buckets/annotations - all annotations keyed by bucket ID
+router.get("/api/buckets/annotations", requireAdmin, async (req, res) => {
+  res.json(await getAnnotations());
+});
+
+// PUT /api/buckets/:bucketId/annotation - set status and/or add a note
+// Body: { status?: "confirmed_incident" | "false_positive" | "under_review", note?: string }
+router.put(
+  "/api/buckets/:bucketId/annotation",
+  requireAdmin,
+  async (req, res) => {
+    const { status, note } = req.body || {};
+    if (status && !BUCKET_STATUSES.includes(status)) {
+      return res
+        .status(400)
+        .send(`Invalid status. Use one of: ${BUCKET_STATUSES.join(", ")}`);
+    }
+    const text = typeof note === "string" ? note.trim() : "";
+    if (!status && !text) return res.status(400).send("Nothing to update");
+
+    const annotation = await annotateBucket(
+      req.params.bucketId,
+      { status, note: text },
+      req.session.user.email,
+    );
+    res.json(annotation);
+  },
+);
+
+// GET /api/entries/constraints - pin / split pairs
+router.get("/api/entries/constraints", requireAdmin, async (req, res) => {
+  res.json(await getConstraints());
+});
+
+// POST /api/entries/constraints - Body: { type: "pin" | "split", a: entryId, b: entryId }
+router.post("/api/entries/constraints", requireAdmin, async (req, res) => {
+  const { type, a, b } = req.body || {};
+  if (!CONSTRAINT_TYPES.includes(type)) {
+    return res.status(400).send("type must be 'pin' or 'split'");
+  }
+  if (!a || !b || a === b) {
+    return res.status(400).send("Two different entry ids 'a' and 'b' needed");
+  }
+  const constraint = await addConstraint(
+    { type, a: String(a), b: String(b) },
+    req.session.user.email,
+  );
+  res.status(201).json(constraint);
+});
+
+// DELETE /api/entries/constraints/:id
+router.delete(
+  "/api/entries/constraints/:id",
+  requireAdmin,
+  async (req, res) => {
+    const removed = await removeConstraint(req.params.id);
+    if (!removed) return res.status(404).send("Constraint not found");
+    res.send("✅ Constraint removed");
+  },
+);
+
+export default router;
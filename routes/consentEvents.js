@@ -0,0 +1,42 @@
+// routes/consentEvents.js — the consent event log (shared, extended, withdrawn,
+// expired): a refugee's own history and the full log for NGO staff
+import { Router } from "express";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import { CONSENT_EVENTS, listConsentEvents } from "../data/consentEvents.js";
+
+const router = Router();
+
+/** The ?type= filter, or { error } for an unknown event type. */
+function eventType(query) {
+  const { type } = query;
+  if (type == null || type === "") return {};
+  if (!CONSENT_EVENTS.includes(type))
+    return {
+      error: `Unknown event type. Use one of: ${CONSENT_EVENTS.join(", ")}`,
+    };
+  return { type };
+}
+
+// GET /journal/consent/events?type= - the refugee's own consent history
+router.get("/journal/consent/events", async (req, res) => {
+  const user = req.session?.user;
+  if (!user) return res.status(401).send("Unauthorized");
+  const { type, error } = eventType(req.query);
+  if (error) return res.status(400).send(error);
+  res.json(await listConsentEvents({ reporter: user.email, type }));
+});
+
+// GET /api/consent-events?reporter=&type= - the whole log
+router.get("/api/consent-events", requireAdmin, async (req, res) => {
+  const { type, error } = eventType(req.query);
+  if (error) return res.status(400).send(error);
+  const { reporter } = req.query;
+  res.json(
+    await listConsentEvents({
+      reporter: typeof reporter === "string" ? reporter : undefined,
+      type,
+    }),
+  );
+});
+
+export default router;
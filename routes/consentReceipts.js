@@ -0,0 +1,52 @@
+// routes/consentReceipts.js — signed consent receipts: the server's public key,
+// verification, and the stored receipts for refugees and NGO staff
+import { Router } from "express";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import { getPublicKey, verifyReceipt } from "../services/consentReceipts.js";
+import { listReceipts } from "../data/receiptStore.js";
+
+const router = Router();
+
+// GET /consent/public-key - public, so anyone holding a receipt can check it
+router.get("/consent/public-key", (req, res) => {
+  const { kid, alg, jwk, pem } = getPublicKey();
+  res.json({ kid, alg, jwk, pem });
+});
+
+// POST /consent/receipts/verify - Body: a receipt, or { receipt }
+router.post("/consent/receipts/verify", async (req, res) => {
+  const receipt = req.body?.receipt || req.body;
+  if (!receipt?.["@id"]) return res.status(400).send("Missing receipt");
+  const valid = verifyReceipt(receipt);
+  // whether it is still the one in force, as far as this server knows
+  const stored = valid
+    ? (await listReceipts()).find((r) => r.id === receipt["@id"])
+    : null;
+  res.json({
+    id: receipt["@id"],
+    valid,
+    known: !!stored,
+    current: stored ? stored.current : null,
+  });
+});
+
+// GET /journal/consent/receipts?url= - the refugee's own receipts
+router.get("/journal/consent/receipts", async (req, res) => {
+  const user = req.session?.user;
+  if (!user) return res.status(401).send("Unauthorized");
+  const url = typeof req.query.url === "string" ? req.query.url : undefined;
+  res.json(await listReceipts({ url, reporter: user.email }));
+});
+
+// GET /api/consent-receipts?url=&reporter= - everything the NGO holds
+router.get("/api/consent-receipts", requireAdmin, async (req, res) => {
+  const { url, reporter } = req.query;
+  res.json(
+    await listReceipts({
+      url: typeof url === "string" ? url : undefined,
+      reporter: typeof reporter === "string" ? reporter : undefined,
+    }),
+  );
+});
+
+export default router;
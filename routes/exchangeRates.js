@@ -0,0 +1,56 @@
+// routes/exchangeRates.js — rate table for comparing ransom amounts (NGO admins only)
+import { Router } from "express";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import {
+  BASE_CURRENCY,
+  CURRENCY_RE,
+  getRateTable,
+  setRates,
+  deleteRates,
+} from "../data/exchangeRates.js";
+
+const router = Router();
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// GET /api/exchange-rates - { base, rates: { <date>: { <currency>: units per base } } }
+router.get("/api/exchange-rates", requireAdmin, (req, res) => {
+  res.json(getRateTable());
+});
+
+// PUT /api/exchange-rates/:date - Body: { rates: { "EUR": 0.92, "LYD": 4.8 } }
+// Rates are units of the currency per 1 base currency; merged into that date.
+router.put("/api/exchange-rates/:date", requireAdmin, async (req, res) => {
+  const { date } = req.params;
+  if (!DAY_RE.test(date))
+    return res.status(400).send("Date must be yyyy-mm-dd");
+  const entries = Object.entries(req.body?.rates || {});
+  if (!entries.length) return res.status(400).send("Provide 'rates'");
+  const bad = entries.filter(
+    ([cur, rate]) =>
+      !CURRENCY_RE.test(cur) ||
+      cur === BASE_CURRENCY ||
+      typeof rate !== "number" ||
+      !(rate > 0),
+  );
+  if (bad.length) {
+    return res
+      .status(400)
+      .send(
+        `Invalid rate(s): ${bad.map(([c]) => c).join(", ")}. Use ISO 4217 codes other than ${BASE_CURRENCY} with positive numbers.`,
+      );
+  }
+  res.json({ date, rates: await setRates(date, Object.fromEntries(entries)) });
+});
+
+// DELETE /api/exchange-rates/:date
+router.delete("/api/exchange-rates/:date", requireAdmin, async (req, res) => {
+  if (!DAY_RE.test(req.params.date))
+    return res.status(400).send("Date must be yyyy-mm-dd");
+  if (!(await deleteRates(req.params.date))) {
+    return res.status(404).send("No rates for this date");
+  }
+  res.send("✅ Rates deleted.");
+});
+
+export default router;
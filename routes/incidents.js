@@ -0,0 +1,148 @@
+// routes/incidents.js — merge similarity buckets into canonical incidents (NGO admins only)
+import { Router } from "express";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import { getConsentedEntries } from "../data/consentedEntries.js";
+import {
+  INCIDENT_STATUSES,
+  listIncidents,
+  getIncident,
+  createIncident,
+  updateIncident,
+} from "../data/incidentStore.js";
+import {
+  INCIDENT_FIELDS,
+  buildIncidentFields,
+  refreshFields,
+} from "../services/incidentServices.js";
+
+const router = Router();
+
+const rowId = (r) => r.id || r.link || r.url;
+
+async function rowsFor(entryIds) {
+  const wanted = new Set(entryIds);
+  return (await getConsentedEntries()).filter((r) => wanted.has(rowId(r)));
+}
+
+// GET /api/incidents - newest first
+router.get("/api/incidents", requireAdmin, async (req, res) => {
+  const list = await listIncidents();
+  list.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json(list);
+});
+
+// GET /api/incidents/:id
+router.get("/api/incidents/:id", requireAdmin, async (req, res) => {
+  const incident = await getIncident(req.params.id);
+  if (!incident) return res.status(404).send("Incident not found");
+  res.json(incident);
+});
+
+// POST /api/incidents - Body: { entryIds: [] }, optional { bucketId, title, notes }
+// entryIds are the entries the analyst is looking at: a bucket's membership can
+// change when someone else re-runs the similarity with other options.
+router.post("/api/incidents", requireAdmin, async (req, res) => {
+  const { bucketId, title, notes } = req.body || {};
+  const entryIds = Array.isArray(req.body?.entryIds)
+    ? [...new Set(req.body.entryIds.map(String))]
+    : [];
+  if (!entryIds.length) return res.status(400).send("Provide 'entryIds'");
+
+  const rows = await rowsFor(entryIds);
+  const found = new Set(rows.map(rowId));
+  const unknown = entryIds.filter((id) => !found.has(id));
+  if (unknown.length) {
+    return res.status(400).send(`Not consented entries: ${unknown.join(", ")}`);
+  }
+
+  const incident = await createIncident(
+    {
+      title,
+      notes,
+      bucketId: bucketId || null,
+      entryIds: rows.map(rowId),
+      fields: buildIncidentFields(rows),
+    },
+    req.session.user.email,
+  );
+  res.status(201).json(incident);
+});
+
+// PATCH /api/incidents/:id
+// Body (all optional): { title, status, notes, entryIds, fields: { <field>: value | null } }
+// A field value set here is marked as analyst-provided; null reverts it to consensus.
+router.patch("/api/incidents/:id", requireAdmin, async (req, res) => {
+  const body = req.body || {};
+  const by = req.session.user.email;
+
+  if (body.status && !INCIDENT_STATUSES.includes(body.status)) {
+    return res
+      .status(400)
+      .send(`Invalid status. Use one of: ${INCIDENT_STATUSES.join(", ")}`);
+  }
+  const fieldEdits = body.fields || {};
+  const unknown = Object.keys(fieldEdits).filter(
+    (k) => !INCIDENT_FIELDS.includes(k),
+  );
+  if (unknown.length) {
+    return res.status(400).send(`Unknown field(s): ${unknown.join(", ")}`);
+  }
+
+  const current = await getIncident(req.params.id);
+  if (!current) return res.status(404).send("Incident not found");
+
+  // new entryIds are checked like on create; the stored ones were already
+  let entryIds = current.entryIds;
+  let rows;
+  if (body.entryIds != null) {
+    const wanted = Array.isArray(body.entryIds)
+      ? [...new Set(body.entryIds.map(String))]
+      : [];
+    if (!wanted.length) return res.status(400).send("Provide 'entryIds'");
+    rows = await rowsFor(wanted);
+    const found = new Set(rows.map(rowId));
+    const missing = wanted.filter((id) => !found.has(id));
+    if (missing.length) {
+      return res
+        .status(400)
+        .send(`Not consented entries: ${missing.join(", ")}`);
+    }
+    entryIds = rows.map(rowId);
+  } else {
+    rows = await rowsFor(entryIds);
+  }
+
+  const incident = await updateIncident(
+    req.params.id,
+    (x) => {
+      if (typeof body.title === "string") x.title = body.title;
+      if (body.status) x.status = body.status;
+      if (typeof body.notes === "string") x.notes = body.notes;
+      x.entryIds = entryIds;
+
+      // null clears an analyst value so consensus takes over again
+      for (const [key, value] of Object.entries(fieldEdits)) {
+        if (value === null && x.fields[key]?.source === "analyst") {
+          x.fields[key] = { source: "consensus" };
+        }
+      }
+      x.fields = refreshFields(x.fields, rows);
+      const now = new Date().toISOString();
+      for (const [key, value] of Object.entries(fieldEdits)) {
+        if (value === null) continue;
+        x.fields[key] = {
+          value,
+          supportedBy: [],
+          source: "analyst",
+          editedBy: by,
+          editedAt: now,
+        };
+      }
+      return x;
+    },
+    by,
+  );
+  res.json(incident);
+});
+
+export default router;
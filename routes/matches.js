@@ -0,0 +1,70 @@
+// routes/matches.js — review queue of possible matches for new consented entries (NGO admins only)
+import { Router } from "express";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import { getConsentedEntries } from "../data/consentedEntries.js";
+import {
+  MATCH_STATUSES,
+  listMatches,
+  getMatch,
+  reviewMatch,
+} from "../data/matchStore.js";
+import { getIncident, updateIncident } from "../data/incidentStore.js";
+import { refreshFields } from "../services/incidentServices.js";
+
+const router = Router();
+
+const rowId = (r) => r.id || r.link || r.url;
+
+// GET /api/matches?status=pending - best scores first
+router.get("/api/matches", requireAdmin, async (req, res) => {
+  const status = req.query.status ? String(req.query.status) : null;
+  if (status && !MATCH_STATUSES.includes(status)) {
+    return res
+      .status(400)
+      .send(`Invalid status. Use one of: ${MATCH_STATUSES.join(", ")}`);
+  }
+  const list = await listMatches(status);
+  list.sort(
+    (a, b) => b.score - a.score || b.createdAt.localeCompare(a.createdAt),
+  );
+  res.json(list);
+});
+
+// PATCH /api/matches/:id - Body: { status: "confirmed" | "dismissed" | "pending" }
+// Confirming a match against an incident adds the entry to that incident.
+router.patch("/api/matches/:id", requireAdmin, async (req, res) => {
+  const status = req.body?.status;
+  if (!MATCH_STATUSES.includes(status)) {
+    return res
+      .status(400)
+      .send(`Invalid status. Use one of: ${MATCH_STATUSES.join(", ")}`);
+  }
+  const match = await getMatch(req.params.id);
+  if (!match) return res.status(404).send("Match not found");
+  const by = req.session.user.email;
+
+  if (status === "confirmed" && match.candidate.type === "incident") {
+    const incident = await getIncident(match.candidate.id);
+    if (!incident) return res.status(404).send("Incident not found");
+    if (!incident.entryIds.includes(match.entryId)) {
+      const entryIds = [...incident.entryIds, match.entryId];
+      const wanted = new Set(entryIds);
+      const rows = (await getConsentedEntries()).filter((r) =>
+        wanted.has(rowId(r)),
+      );
+      await updateIncident(
+        incident.id,
+        (x) => {
+          x.entryIds = entryIds;
+          x.fields = refreshFields(x.fields, rows);
+          return x;
+        },
+        by,
+      );
+    }
+  }
+
+  res.json(await reviewMatch(req.params.id, status, by));
+});
+
+export default router;
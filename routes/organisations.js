@@ -0,0 +1,79 @@
+// routes/organisations.js — organisations refugees can share entries with
+import { Router } from "express";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import {
+  ID_RE,
+  DEFAULT_ORGANISATION,
+  listOrganisations,
+  getOrganisation,
+  saveOrganisation,
+  deleteOrganisation,
+} from "../data/organisations.js";
+
+const router = Router();
+
+// Request body -> organisation, or { error }
+function parseOrganisation(body, id) {
+  const b = body || {};
+  if (!ID_RE.test(id || "")) {
+    return { error: "Ids use lowercase letters, digits, '-' and '_'" };
+  }
+  const name = String(b.name || "").trim();
+  if (!name) return { error: "'name' is required" };
+  let webId;
+  try {
+    webId = new URL(String(b.webId || "")).href;
+  } catch {
+    return { error: "'webId' must be a URL" };
+  }
+  const emailDomains = b.emailDomains ?? [];
+  if (
+    !Array.isArray(emailDomains) ||
+    emailDomains.some(
+      (d) => typeof d !== "string" || !/^[^@\s]+\.[^@\s]+$/.test(d),
+    )
+  ) {
+    return { error: "'emailDomains' must be a list of domains" };
+  }
+  return {
+    org: {
+      id,
+      name,
+      description: String(b.description || ""),
+      webId,
+      emailDomains: emailDomains.map((d) => d.toLowerCase()),
+    },
+  };
+}
+
+// GET /api/organisations - any logged-in user (the journal form lists them)
+router.get("/api/organisations", (req, res) => {
+  if (!req.session?.user) return res.status(401).send("Unauthorized");
+  const admin = req.session.user.role === "admin";
+  res.json(
+    listOrganisations().map(({ emailDomains, ...o }) =>
+      admin ? { ...o, emailDomains } : o,
+    ),
+  );
+});
+
+// PUT /api/organisations/:id - Body: { name, description?, webId, emailDomains? }
+router.put("/api/organisations/:id", requireAdmin, async (req, res) => {
+  const { org, error } = parseOrganisation(req.body, req.params.id);
+  if (error) return res.status(400).send(error);
+  res.json(await saveOrganisation(org));
+});
+
+// DELETE /api/organisations/:id - existing ACL grants stay until consent changes
+router.delete("/api/organisations/:id", requireAdmin, async (req, res) => {
+  if (req.params.id === DEFAULT_ORGANISATION) {
+    return res.status(400).send("The default organisation cannot be deleted");
+  }
+  if (!getOrganisation(req.params.id)) {
+    return res.status(404).send("Organisation not found");
+  }
+  await deleteOrganisation(req.params.id);
+  res.send("✅ Organisation deleted.");
+});
+
+export default router;
@@ -0,0 +1,123 @@
+// routes/presets.js — named similarity presets (NGO admins only)
+import { Router } from "express";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import {
+  listPresets,
+  getPreset,
+  savePreset,
+  deletePreset,
+} from "../data/presetStore.js";
+import {
+  ASPECT_KEYS,
+  DEFAULT_TOLERANCES,
+  MODES,
+  STRATEGIES,
+  REPORTER_MODES,
+} from "../similarity.js";
+
+const router = Router();
+
+const isNum = (v) => typeof v === "number" && isFinite(v);
+
+// Request body -> preset settings, or { error }
+function parsePreset(body, name) {
+  const b = body || {};
+  name = String(name ?? b.name ?? "").trim();
+  if (!name) return { error: "Preset 'name' is required" };
+
+  const out = { name, description: String(b.description || "") };
+
+  if (b.threshold != null) {
+    if (!isNum(b.threshold) || b.threshold < 0 || b.threshold > 1)
+      return { error: "'threshold' must be a number between 0 and 1" };
+    out.threshold = b.threshold;
+  }
+  if (b.weights != null) {
+    const bad = Object.entries(b.weights).filter(
+      ([k, w]) => !ASPECT_KEYS.includes(k) || !isNum(w) || w < 0,
+    );
+    if (bad.length)
+      return {
+        error: `Invalid weight(s): ${bad.map(([k]) => k).join(", ")}. Aspects: ${ASPECT_KEYS.join(", ")}`,
+      };
+    out.weights = b.weights;
+  }
+  if (b.tolerances != null) {
+    const bad = Object.entries(b.tolerances).filter(([k, v]) =>
+      k.endsWith("Measure")
+        ? !(k in DEFAULT_TOLERANCES) ||
+          !["jaccard", "overlap", "exact"].includes(v)
+        : !(k in DEFAULT_TOLERANCES) || !isNum(v) || v < 0,
+    );
+    if (bad.length)
+      return {
+        error: `Invalid tolerance(s): ${bad.map(([k]) => k).join(", ")}`,
+      };
+    out.tolerances = b.tolerances;
+  }
+  const choices = {
+    mode: MODES,
+    strategy: STRATEGIES,
+    reporterMode: REPORTER_MODES,
+  };
+  for (const [key, allowed] of Object.entries(choices)) {
+    if (b[key] == null) continue;
+    if (!allowed.includes(b[key]))
+      return { error: `'${key}' must be one of: ${allowed.join(", ")}` };
+    out[key] = b[key];
+  }
+  if (b.minNeighbors != null) {
+    if (!Number.isInteger(b.minNeighbors) || b.minNeighbors < 1)
+      return { error: "'minNeighbors' must be a positive integer" };
+    out.minNeighbors = b.minNeighbors;
+  }
+  return { preset: out };
+}
+
+// GET /api/similarity/presets
+router.get("/api/similarity/presets", requireAdmin, async (req, res) => {
+  const list = await listPresets();
+  list.sort((a, b) => a.name.localeCompare(b.name));
+  res.json(list);
+});
+
+// GET /api/similarity/presets/:name
+router.get("/api/similarity/presets/:name", requireAdmin, async (req, res) => {
+  const preset = await getPreset(req.params.name);
+  if (!preset) return res.status(404).send("Preset not found");
+  res.json(preset);
+});
+
+// POST /api/similarity/presets
+// Body: { name, description?, threshold?, weights?, tolerances?, mode?, strategy?, minNeighbors?, reporterMode? }
+router.post("/api/similarity/presets", requireAdmin, async (req, res) => {
+  const { preset, error } = parsePreset(req.body);
+  if (error) return res.status(400).send(error);
+  if (await getPreset(preset.name)) {
+    return res.status(409).send("A preset with this name already exists");
+  }
+  res.status(201).json(await savePreset(preset, req.session.user.email));
+});
+
+// PUT /api/similarity/presets/:name - replaces the stored settings
+router.put("/api/similarity/presets/:name", requireAdmin, async (req, res) => {
+  const existing = await getPreset(req.params.name);
+  if (!existing) return res.status(404).send("Preset not found");
+  const { preset, error } = parsePreset(req.body, existing.name);
+  if (error) return res.status(400).send(error);
+  res.json(await savePreset(preset, req.session.user.email));
+});
+
+// DELETE /api/similarity/presets/:name
+router.delete(
+  "/api/similarity/presets/:name",
+  requireAdmin,
+  async (req, res) => {
+    if (!(await deletePreset(req.params.name))) {
+      return res.status(404).send("Preset not found");
+    }
+    res.send("✅ Preset deleted.");
+  },
+);
+
+export default router;
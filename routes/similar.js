@@ -1,7 +1,23 @@
 // routes/similar.js
 import { Router } from "express";
-import { groupSimilarEntries } from "../services/similarServices.js";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import {
+  groupSimilarEntries,
+  explainEntries,
+  effectiveTolerances,
+  usesDefaultOptions,
+} from "../services/similarServices.js";
 import { getConsentedEntries } from "../data/consentedEntries.js";
+import {
+  stabilizeBucketIds,
+  getAnnotations,
+  getConstraints,
+} from "../data/bucketStore.js";
+import { summarizeBucket } from "../similarity.js";
+import { EXPORTS } from "../services/similarExport.js";
+import { getPreset } from "../data/presetStore.js";
+import { BASE_CURRENCY, toBaseAmount } from "../data/exchangeRates.js";
+import { canonicalTerm, canonicalTerms } from "../data/vocabulary.js";
 
 const router = Router();
 
@@ -22,14 +38,6 @@ const num = (v) => (typeof v === "number" && isFinite(v) ? v : null);
 const arrify = (v) => (Array.isArray(v) ? v : v != null ? [v] : []);
 const allEqual = (arr) => arr.length && arr.every((v) => v === arr[0]);
 
-const fmtDate = (dStr) => dStr; // yyyy-mm-dd already
-const fmtMoney = (n) =>
-  new Intl.NumberFormat("en", {
-    style: "currency",
-    currency: "EUR",
-    maximumFractionDigits: 0,
-  }).format(n);
-
 // Fuzzy getter: supports spaced/snake/camel variants, case-insensitive.
 function getAny(r, keys) {
   const own = (obj, k) => Object.prototype.hasOwnProperty.call(obj, k);
@@ -69,6 +77,12 @@ function normalizeLocation(r) {
   return trimmed ? trimmed : null;
 }
 
+function extractGeo(r) {
+  const lat = num(typeof r.lat === "string" ? Number(r.lat) : r.lat);
+  const lon = num(typeof r.lon === "string" ? Number(r.lon) : r.lon);
+  return lat != null && lon != null ? { lat, lon } : null;
+}
+
 function normalizeDate(r) {
   const d = getAny(r, [
     "date",
@@ -175,281 +189,289 @@ function extractConditions(r) {
   return arr.length ? arr : [];
 }
 
-// ---------- route ----------
-router.get("/api/entries/similar", async (req, res) => {
-  const threshold = req.query.threshold
-    ? Number(req.query.threshold)
-    : undefined;
-  let weights;
-  if (req.query.weights) {
+// Query string -> options for groupSimilarEntries (+ route-only minSize).
+// Settings missing from the query come from `preset` (see optionsFor).
+function parseOptions(query, preset = {}) {
+  const threshold = query.threshold
+    ? Number(query.threshold)
+    : preset.threshold;
+  let weights = preset.weights;
+  if (query.weights) {
     try {
-      weights = JSON.parse(String(req.query.weights));
+      weights = { ...weights, ...JSON.parse(String(query.weights)) };
     } catch {}
   }
-  const minSize = req.query.minSize ? Number(req.query.minSize) : 2;
+  const minSize = query.minSize ? Number(query.minSize) : 2;
+  const mode = query.mode ? String(query.mode) : preset.mode;
+  const blocking = query.blocking ? String(query.blocking) : undefined;
+  // single-link (default) | complete | average | density
+  const strategy = query.strategy ? String(query.strategy) : preset.strategy;
+  // merge (default) | separate: one reporter's repeats listed as duplicates
+  const reporterMode = query.reporterMode
+    ? String(query.reporterMode)
+    : preset.reporterMode;
+  const minNeighbors = query.minNeighbors
+    ? Number(query.minNeighbors)
+    : preset.minNeighbors;
+  const tolerances = { ...preset.tolerances };
+  if (query.radiusKm && isFinite(Number(query.radiusKm)))
+    tolerances.locationRadiusKm = Number(query.radiusKm);
+  if (["jaccard", "overlap", "exact"].includes(query.setMeasure))
+    tolerances.setMeasure = query.setMeasure;
 
-  // Source rows visible to the NGO
-  const rows = await getConsentedEntries();
+  return {
+    threshold,
+    weights,
+    minSize,
+    mode,
+    blocking,
+    strategy,
+    minNeighbors,
+    reporterMode,
+    tolerances,
+    filters: parseFilters(query),
+  };
+}
+
+// ---------- filters (applied before clustering) ----------
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const listParam = (v) =>
+  arrify(v)
+    .flatMap((x) => String(x).split(","))
+    .map((x) => x.trim().toLowerCase())
+    .filter(Boolean);
+
+// from / to: event date (yyyy-mm-dd, inclusive); country: ISO 3166-1 alpha-2;
+// eventType, reporter: comma-separated or repeated. Lists match any value.
+function parseFilters(query) {
+  const day = (v) => (v && DAY_RE.test(String(v)) ? String(v) : null);
+  return {
+    from: day(query.from),
+    to: day(query.to),
+    country: listParam(query.country),
+    eventType: listParam(query.eventType).map((t) =>
+      canonicalTerm("eventTypes", t).toLowerCase(),
+    ),
+    reporter: listParam(query.reporter),
+  };
+}
+
+function hasFilters(f) {
+  return !!(
+    f.from ||
+    f.to ||
+    f.country.length ||
+    f.eventType.length ||
+    f.reporter.length
+  );
+}
+
+function matchesFilters(entry, f) {
+  if (f.from || f.to) {
+    if (!entry.date) return false;
+    if (f.from && entry.date < f.from) return false;
+    if (f.to && entry.date > f.to) return false;
+  }
+  if (f.country.length && !f.country.includes(entry.country)) return false;
+  if (
+    f.eventType.length &&
+    !entry.eventTypes.some((t) => f.eventType.includes(t.toLowerCase()))
+  )
+    return false;
+  if (
+    f.reporter.length &&
+    !f.reporter.includes(String(entry.personId).toLowerCase())
+  )
+    return false;
+  return true;
+}
+
+// Buckets page: ?page=1&pageSize=20 (most corroborated, then largest first)
+function paginate(buckets, query) {
+  const pageSize = Math.min(
+    Math.max(Math.floor(Number(query.pageSize)) || 20, 1),
+    100,
+  );
+  const totalPages = Math.max(Math.ceil(buckets.length / pageSize), 1);
+  const page = Math.min(
+    Math.max(Math.floor(Number(query.page)) || 1, 1),
+    totalPages,
+  );
+  const sorted = buckets
+    .slice()
+    .sort(
+      (a, b) =>
+        b.corroboration - a.corroboration ||
+        b.size - a.size ||
+        a.bucketId.localeCompare(b.bucketId),
+    );
+  return {
+    buckets: sorted.slice((page - 1) * pageSize, page * pageSize),
+    page: { page, pageSize, totalPages, totalBuckets: buckets.length },
+  };
+}
+
+// Normalized entry used by the UI (entryById)
+function normalizeEntry(r) {
+  const id = r.id || r.link || r.url;
+  return {
+    id,
+    personId: r.personId || r.reporter_email || r.reporter_webId || id,
+    date: normalizeDate(r),
+    location: normalizeLocation(r),
+    geo: extractGeo(r),
+    placeId: r.placeId || null,
+    country: r.country ? String(r.country).toLowerCase() : null,
+    // converted for comparison; the amount as reported is kept alongside
+    ransom: toBaseAmount(extractRansom(r), r.ransomCurrency, normalizeDate(r)),
+    ransomReported:
+      extractRansom(r) != null
+        ? {
+            amount: extractRansom(r),
+            currency: r.ransomCurrency || BASE_CURRENCY,
+          }
+        : null,
+    counts: extractCounts(r),
+    // vocabulary codes, so summaries line up with what the scorer compared
+    eventTypes: canonicalTerms("eventTypes", extractEventTypes(r)),
+    transport: canonicalTerm("transport", extractTransport(r)),
+    conditions: canonicalTerms("conditions", extractConditions(r)),
+    link: r.url || r.link || null,
+  };
+}
+
+// ?preset=<name> loads a saved preset; explicit query params still override it.
+// Returns null when the preset does not exist.
+async function optionsFor(query) {
+  if (!query.preset) return parseOptions(query);
+  const preset = await getPreset(String(query.preset));
+  if (!preset) return null;
+  return { ...parseOptions(query, preset), preset: preset.name };
+}
+
+// Full similarity run for parsed options: buckets with summaries, entryById, edges
+async function runSimilarity(opts) {
+  // Source rows visible to the NGO, narrowed by the query filters; the
+  // analyst sees the Pods as they are now, not the cache
+  const rows = (await getConsentedEntries({ maxAge: 0 })).filter((r) =>
+    matchesFilters(normalizeEntry(r), opts.filters),
+  );
+
+  // Analyst pins / splits the clusterer must respect
+  const constraints = await getConstraints();
+  const pairsOf = (type) =>
+    constraints.filter((c) => c.type === type).map((c) => [c.a, c.b]);
 
   // Grouping (uses all 7 aspects inside similarServices)
-  const result = groupSimilarEntries(rows, { threshold, weights });
+  const result = groupSimilarEntries(rows, {
+    ...opts,
+    mustLink: pairsOf("pin"),
+    cannotLink: pairsOf("split"),
+  });
 
   // Build normalized entryById used by the UI
   const entryById = {};
   for (const r of rows) {
     const id = r.id || r.link || r.url;
     if (!id) continue;
-
-    entryById[id] = {
-      id,
-      personId: r.personId || r.reporter_email || r.reporter_webId || id,
-      date: normalizeDate(r),
-      location: normalizeLocation(r),
-      ransom: extractRansom(r),
-      counts: extractCounts(r),
-      eventTypes: extractEventTypes(r),
-      transport: extractTransport(r),
-      conditions: extractConditions(r),
-      link: r.url || r.link || null,
-    };
+    entryById[id] = normalizeEntry(r);
   }
 
-  // Filter out tiny buckets (default: size >= 2)
-  let buckets = (result.buckets || []).filter((b) => (b.size || 0) >= minSize);
-
-  // Compute concise summary per bucket (with actual similar aspects)
-  buckets = buckets.map((b) => {
-    const entries = b.entryIds.map((id) => entryById[id]).filter(Boolean);
-
-    // ----- Date (same or ±1 day => span ≤ 2 days) -----
-    let dateRange = null;
-    let dateAspect = null;
-    if (entries.length && entries.every((e) => e.date)) {
-      const times = entries.map((e) =>
-        new Date(e.date + "T00:00:00Z").getTime(),
-      );
-      const min = Math.min(...times);
-      const max = Math.max(...times);
-      const spanDays = (max - min) / 86400000;
-      if (spanDays === 0) {
-        const d = new Date(min).toISOString().slice(0, 10);
-        dateRange = { earliest: d, latest: d };
-        dateAspect = {
-          similar: true,
-          display: fmtDate(d),
-          details: { spanDays: 0 },
-        };
-      } else if (spanDays <= 2) {
-        const earliest = new Date(min).toISOString().slice(0, 10);
-        const latest = new Date(max).toISOString().slice(0, 10);
-        dateRange = { earliest, latest };
-        dateAspect = {
-          similar: true,
-          display: `${fmtDate(earliest)} – ${fmtDate(latest)}`,
-          details: { spanDays },
-        };
-      }
-    }
-
-    // ----- Location (all identical) -----
-    let commonLocation = null;
-    let locAspect = null;
-    if (
-      entries.length &&
-      entries.every((e) => e.location === entries[0].location) &&
-      entries[0].location
-    ) {
-      commonLocation = entries[0].location;
-      locAspect = { similar: true, display: commonLocation };
-    }
+  // Stable IDs that survive re-clustering, plus analyst annotations. Only a
+  // run over every entry with the default options records memberships.
+  const stable = await stabilizeBucketIds(result.buckets || [], {
+    persist:
+      !opts.preset && !hasFilters(opts.filters) && usesDefaultOptions(opts),
+  });
+  const annotations = await getAnnotations();
 
-    // ----- Counts (male/female/kids ±1, total ±3) -----
-    const partLabels = ["male", "female", "kids"];
-    const countsSimilar = {};
-    let anyCountsShown = false;
-
-    // per-part
-    partLabels.forEach((label) => {
-      const vals = entries
-        .map((e) => e.counts?.[label])
-        .filter((v) => v != null);
-      if (vals.length === entries.length) {
-        const min = Math.min(...vals);
-        const max = Math.max(...vals);
-        if (max - min <= 1) {
-          countsSimilar[label] = { min, max };
-          anyCountsShown = true;
-        }
-      }
-    });
-
-    // total
-    const totals = entries.map((e) => e.counts?.total).filter((v) => v != null);
-    if (totals.length === entries.length) {
-      const minT = Math.min(...totals);
-      const maxT = Math.max(...totals);
-      if (maxT - minT <= 3) {
-        countsSimilar.total = { min: minT, max: maxT };
-        anyCountsShown = true;
-      }
-    }
+  // Filter out tiny buckets (default: size >= 2)
+  const buckets = stable
+    .filter((b) => (b.size || 0) >= opts.minSize)
+    .map((b) => ({
+      ...summarizeBucket(b, entryById, effectiveTolerances(opts), {
+        currency: BASE_CURRENCY,
+      }),
+      annotation: annotations[b.bucketId] || null,
+    }));
 
-    let countsAspect = null;
-    if (anyCountsShown) {
-      const parts = [];
-      for (const label of ["male", "female", "kids"]) {
-        const r = countsSimilar[label];
-        if (!r) continue;
-        parts.push(
-          r.min === r.max ? `${label} ${r.min}` : `${label} ${r.min}–${r.max}`,
-        );
-      }
-      if (countsSimilar.total) {
-        const r = countsSimilar.total;
-        parts.push(
-          r.min === r.max ? `total ${r.min}` : `total ${r.min}–${r.max}`,
-        );
-      }
-      countsAspect = {
-        similar: true,
-        display: parts.join(", "),
-        details: countsSimilar,
-      };
-    }
+  return {
+    buckets,
+    entryById,
+    duplicates: result.duplicates,
+    pairwise: result.pairwise,
+    blocking: result.blocking,
+    strategy: result.strategy,
+    reporterMode: result.reporterMode,
+    preset: opts.preset || null,
+    constraints,
+    filters: opts.filters,
+  };
+}
 
-    // ----- Ransom (all values within ±10% of the MEAN) -----
-    let ransomRange = null;
-    let ransomAspect = null;
-    const ransomVals = entries.map((e) => e.ransom).filter((v) => v != null);
-    if (ransomVals.length === entries.length) {
-      const mean = ransomVals.reduce((a, b) => a + b, 0) / ransomVals.length;
-      const maxAbsPct = Math.max(
-        ...ransomVals.map((v) => Math.abs(v - mean) / mean),
-      );
-      const minR = Math.min(...ransomVals);
-      const maxR = Math.max(...ransomVals);
-      if (maxAbsPct <= 0.1) {
-        ransomRange = { min: minR, max: maxR };
-        ransomAspect = {
-          similar: true,
-          display:
-            minR === maxR
-              ? fmtMoney(minR)
-              : `${fmtMoney(minR)} – ${fmtMoney(maxR)} (±10%)`,
-          details: { min: minR, max: maxR, mean },
-        };
-      }
-    }
+// ---------- route ----------
+// GET /api/entries/similar?[preset][&threshold&weights&mode&…][&from&to&country&eventType&reporter][&page&pageSize]
+router.get("/api/entries/similar", requireAdmin, async (req, res) => {
+  const opts = await optionsFor(req.query);
+  if (!opts) return res.status(404).send("Preset not found");
+  const data = await runSimilarity(opts);
+  const page = paginate(data.buckets, req.query);
+  // entries and edges of this page's buckets only, not every consented entry
+  const onPage = new Set(page.buckets.flatMap((b) => b.entryIds));
+  res.json({
+    ...data,
+    ...page,
+    entryById: Object.fromEntries(
+      Object.entries(data.entryById).filter(([id]) => onPage.has(id)),
+    ),
+    pairwise: data.pairwise.filter((p) => onPage.has(p.a) && onPage.has(p.b)),
+  });
+});
 
-    // ----- Event Type (all same; case/order-insensitive) -----
-    let eventType = null;
-    let eventAspect = null;
-    if (entries.length) {
-      const norm = (v) =>
-        Array.isArray(v)
-          ? v
-              .map((x) => String(x).trim().toLowerCase())
-              .sort()
-              .join("|")
-          : String(v || "")
-              .trim()
-              .toLowerCase();
-      const baseN = norm(entries[0].eventTypes);
-      if (baseN && entries.every((e) => norm(e.eventTypes) === baseN)) {
-        const pretty = Array.isArray(entries[0].eventTypes)
-          ? entries[0].eventTypes.join(", ")
-          : String(entries[0].eventTypes);
-        eventType = pretty;
-        eventAspect = { similar: true, display: pretty };
-      }
-    }
+// Download the same analysis as CSV, GeoJSON or JSON-LD. Accepts the same
+// query as /api/entries/similar; every bucket is exported (no pagination).
+router.get("/api/entries/similar/export", requireAdmin, async (req, res) => {
+  const format = String(req.query.format || "csv").toLowerCase();
+  const exporter = EXPORTS[format];
+  if (!exporter) {
+    return res
+      .status(400)
+      .send(`Unknown format. Use one of: ${Object.keys(EXPORTS).join(", ")}`);
+  }
 
-    // ----- Transport (all same; case-insensitive, trimmed) -----
-    let transport = null;
-    let transportAspect = null;
-    if (entries.length) {
-      const base = (entries[0].transport || "").toString().trim();
-      if (
-        base &&
-        entries.every(
-          (e) =>
-            (e.transport || "").toString().trim().toLowerCase() ===
-            base.toLowerCase(),
-        )
-      ) {
-        transport = base;
-        transportAspect = { similar: true, display: base };
-      }
-    }
+  const opts = await optionsFor(req.query);
+  if (!opts) return res.status(404).send("Preset not found");
+  const data = await runSimilarity(opts);
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.setHeader("Cache-Control", "no-store, max-age=0");
+  res.setHeader("Content-Type", exporter.contentType);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="similarity-buckets-${stamp}.${exporter.extension}"`,
+  );
+  res.send(exporter.render(data));
+});
 
-    // ----- Conditions (all same set) -----
-    let conditions = null;
-    let conditionsAspect = null;
-    if (
-      entries.length &&
-      entries.every(
-        (e) =>
-          JSON.stringify(
-            (e.conditions || [])
-              .map((x) => String(x).trim().toLowerCase())
-              .sort(),
-          ) ===
-          JSON.stringify(
-            (entries[0].conditions || [])
-              .map((x) => String(x).trim().toLowerCase())
-              .sort(),
-          ),
-      ) &&
-      (entries[0].conditions?.length || 0) > 0
-    ) {
-      conditions = entries[0].conditions;
-      conditionsAspect = {
-        similar: true,
-        display: conditions.join(", "),
-        details: { values: conditions },
-      };
-    }
+// Why two entries do or do not match, even below the threshold.
+// GET /api/entries/similar/explain?a=<id>&b=<id>[&weights=&threshold=&mode=…]
+router.get("/api/entries/similar/explain", requireAdmin, async (req, res) => {
+  const idA = req.query.a ? String(req.query.a) : "";
+  const idB = req.query.b ? String(req.query.b) : "";
+  if (!idA || !idB) return res.status(400).send("Missing 'a' or 'b' entry id");
 
-    // Build similarAspects (only include those that qualified)
-    const similarAspects = {};
-    if (locAspect) similarAspects.location = locAspect;
-    if (dateAspect) similarAspects.date = dateAspect;
-    if (countsAspect) similarAspects.headcount = countsAspect;
-    if (ransomAspect) similarAspects.ransom = ransomAspect;
-    if (eventAspect) similarAspects.eventType = eventAspect;
-    if (transportAspect) similarAspects.transport = transportAspect;
-    if (conditionsAspect) similarAspects.conditions = conditionsAspect;
-
-    // Plain-text strings for UI
-    const dateText = dateAspect?.display || null;
-    const headcountText = countsAspect?.display || null;
-    const ransomText = ransomAspect?.display || null;
-    const eventTypeText = eventAspect?.display || null;
-    const transportText = transportAspect?.display || null;
-    const conditionsText = conditionsAspect?.display || null;
-
-    return {
-      ...b,
-      summary: {
-        // structured fields (kept)
-        dateRange,
-        counts: Object.keys(countsSimilar).length ? countsSimilar : null,
-        ransom: ransomRange,
-        // UI-friendly strings
-        date: dateText,
-        location: commonLocation,
-        headcountText,
-        ransomText,
-        eventType: eventTypeText,
-        transport: transportText,
-        conditions: conditionsText,
-        // rich detail
-        similarAspects,
-      },
-    };
+  const rows = await getConsentedEntries();
+  const byId = (id) => rows.find((r) => (r.id || r.link || r.url) === id);
+  const rowA = byId(idA);
+  const rowB = byId(idB);
+  if (!rowA || !rowB) return res.status(404).send("Entry not found");
+
+  const opts = await optionsFor(req.query);
+  if (!opts) return res.status(404).send("Preset not found");
+  res.json({
+    a: normalizeEntry(rowA),
+    b: normalizeEntry(rowB),
+    ...explainEntries(rowA, rowB, opts),
   });
-
-  res.json({ buckets, entryById, pairwise: result.pairwise });
 });
 
 export default router;
@@ -0,0 +1,34 @@
+// routes/similarityRules.js — per-aspect comparators and tolerances (NGO admins only)
+import { Router } from "express";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import {
+  RULE_SCHEMA,
+  getRules,
+  parseRules,
+  saveRules,
+  rulesToTolerances,
+} from "../data/similarityRules.js";
+
+const router = Router();
+
+// GET /api/similarity/rules - current rules, what each aspect allows, and the
+// engine tolerances they translate to
+router.get("/api/similarity/rules", requireAdmin, (req, res) => {
+  const rules = getRules();
+  res.json({
+    rules,
+    schema: RULE_SCHEMA,
+    tolerances: rulesToTolerances(rules),
+  });
+});
+
+// PUT /api/similarity/rules - Body: { <aspect>: { comparator?, <param>: number } }
+// Aspects or params left out fall back to the defaults.
+router.put("/api/similarity/rules", requireAdmin, async (req, res) => {
+  const { rules, error } = parseRules(req.body);
+  if (error) return res.status(400).send(error);
+  const saved = await saveRules(rules);
+  res.json({ rules: saved, tolerances: rulesToTolerances(saved) });
+});
+
+export default router;
@@ -0,0 +1,88 @@
+// routes/vocabulary.js — controlled vocabulary for transport, event types and conditions
+import { Router } from "express";
+import { requireAdmin } from "../middleware/requireAdmin.js";
+import {
+  VOCABULARY_FIELDS,
+  LANGUAGES,
+  CODE_RE,
+  getVocabulary,
+  upsertTerm,
+  deleteTerm,
+} from "../data/vocabulary.js";
+
+const router = Router();
+
+function checkField(req, res, next) {
+  if (!VOCABULARY_FIELDS.includes(req.params.field)) {
+    return res
+      .status(400)
+      .send(`Unknown field. Use one of: ${VOCABULARY_FIELDS.join(", ")}`);
+  }
+  next();
+}
+
+// GET /api/vocabulary - any logged-in user (the journal form builds its options from it)
+router.get("/api/vocabulary", (req, res) => {
+  if (!req.session?.user) return res.status(401).send("Unauthorized");
+  res.json({ languages: LANGUAGES, fields: getVocabulary() });
+});
+
+// PUT /api/vocabulary/:field/:code - Body: { labels?: { en, fr, ar, ti }, synonyms?: [] }
+// Creates the term or merges labels / adds synonyms to it.
+router.put(
+  "/api/vocabulary/:field/:code",
+  requireAdmin,
+  checkField,
+  async (req, res) => {
+    const { field, code } = req.params;
+    if (!CODE_RE.test(code)) {
+      return res
+        .status(400)
+        .send("Codes use lowercase letters, digits and underscores");
+    }
+    const labels = req.body?.labels ?? {};
+    const synonyms = req.body?.synonyms ?? [];
+    if (typeof labels !== "object" || Array.isArray(labels) || !labels) {
+      return res.status(400).send("'labels' must be an object");
+    }
+    if (!Array.isArray(synonyms)) {
+      return res.status(400).send("'synonyms' must be a list");
+    }
+    const badLang = Object.keys(labels).filter((l) => !LANGUAGES.includes(l));
+    if (badLang.length) {
+      return res
+        .status(400)
+        .send(
+          `Unknown language(s): ${badLang.join(", ")}. Use: ${LANGUAGES.join(", ")}`,
+        );
+    }
+    const strings = [...Object.values(labels), ...synonyms];
+    if (strings.some((s) => typeof s !== "string" || !s.trim())) {
+      return res
+        .status(400)
+        .send("Labels and synonyms must be non-empty strings");
+    }
+
+    const { term, error } = await upsertTerm(field, code, {
+      labels,
+      synonyms: synonyms.map((s) => s.trim()),
+    });
+    if (error) return res.status(409).send(error);
+    res.json({ field, code, ...term });
+  },
+);
+
+// DELETE /api/vocabulary/:field/:code - stored entries keep the code they have
+router.delete(
+  "/api/vocabulary/:field/:code",
+  requireAdmin,
+  checkField,
+  async (req, res) => {
+    if (!(await deleteTerm(req.params.field, req.params.code))) {
+      return res.status(404).send("Term not found");
+    }
+    res.send("✅ Term deleted.");
+  },
+);
+
+export default router;
@@ -0,0 +1,121 @@
+// scripts/bench-similarity.js — full pairwise scan vs date blocking
+//
+// Usage: node scripts/bench-similarity.js [entries=3000] [mode=graded|strict] [threshold=0.7] [weightsJSON]
+//
+// Generates a synthetic consented index (seeded, so runs are comparable),
+// clusters it with blocking "none" and "auto", checks that both produce the
+// same buckets and edges, and prints the timings.
+//
+// Date blocking is only lossless when the date weight is large enough that a
+// pair far apart in time cannot reach the threshold on the other aspects, so
+// the default profile weights date ×4. With equal weights the engine falls
+// back to the full scan (pass '{"date":1}' to see that).
+import { clusterEntries } from "../similarity.js";
+
+const n = Number(process.argv[2]) || 3000;
+const mode = process.argv[3] === "strict" ? "strict" : "graded";
+const threshold = Number(process.argv[4]) || 0.7;
+const weightOverrides = process.argv[5] ? JSON.parse(process.argv[5]) : {};
+
+// small deterministic PRNG (mulberry32)
+function rng(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const rand = rng(42);
+const pick = (arr) => arr[Math.floor(rand() * arr.length)];
+const int = (lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+
+const PLACES = [
+  { name: "Eindhoven Airport", lat: 51.4501, lon: 5.3745 },
+  { name: "Tripoli Port", lat: 32.8967, lon: 13.1796 },
+  { name: "Sabha", lat: 27.0377, lon: 14.4283 },
+  { name: "Agadez", lat: 16.9742, lon: 7.9865 },
+  { name: "Kassala", lat: 15.451, lon: 36.4 },
+];
+const EVENTS = ["detention", "transfer", "ransom_call", "injury", "checkpoint"];
+const TRANSPORT = ["foot", "van", "bus", "car", "boat"];
+const CONDITIONS = ["no_food", "no_water", "medical_need"];
+
+function synthEntries(count) {
+  const start = Date.UTC(2023, 0, 1);
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const p = pick(PLACES);
+    const male = int(0, 12),
+      female = int(0, 12),
+      kids = int(0, 8);
+    out.push({
+      id: `entry-${i}`,
+      // ~3 years of reports
+      date: new Date(start + int(0, 3 * 365) * 86400000)
+        .toISOString()
+        .slice(0, 10),
+      location: p.name,
+      geo: {
+        lat: p.lat + (rand() - 0.5) * 0.02,
+        lon: p.lon + (rand() - 0.5) * 0.02,
+      },
+      placeId: null,
+      counts: { male, female, kids, total: male + female + kids },
+      ransom: rand() < 0.3 ? null : int(5, 60) * 100,
+      eventTypes: [pick(EVENTS), ...(rand() < 0.4 ? [pick(EVENTS)] : [])],
+      transport: pick(TRANSPORT),
+      conditions: CONDITIONS.filter(() => rand() < 0.4),
+    });
+  }
+  return out;
+}
+
+const weights = {
+  date: 4,
+  location: 1,
+  counts: 1,
+  ransom: 1,
+  eventTypes: 1,
+  transport: 1,
+  conditions: 1,
+  ...weightOverrides,
+};
+
+function time(label, fn) {
+  const t0 = process.hrtime.bigint();
+  const out = fn();
+  const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+  console.log(`${label.padEnd(10)} ${ms.toFixed(0).padStart(7)} ms`);
+  return { out, ms };
+}
+
+const entries = synthEntries(n);
+console.log(`${n} entries, mode=${mode}, threshold=${threshold}`);
+
+const full = time("full", () =>
+  clusterEntries(entries, weights, threshold, { mode, blocking: "none" }),
+);
+const blocked = time("blocked", () =>
+  clusterEntries(entries, weights, threshold, { mode, blocking: "auto" }),
+);
+
+const b = blocked.out.blocking;
+console.log(
+  b.key
+    ? `blocking on ${b.key} (${b.windowDays}-day windows): ${b.candidates} of ${full.out.blocking.candidates} pairs scored`
+    : "blocking not lossless for these weights/threshold; full scan used",
+);
+
+const same = (x, y) =>
+  JSON.stringify([x.buckets, x.pairwise]) ===
+  JSON.stringify([y.buckets, y.pairwise]);
+if (!same(full.out, blocked.out)) {
+  console.error("❌ Blocked clustering differs from the full scan");
+  process.exit(1);
+}
+console.log(
+  `✅ identical buckets (${full.out.buckets.length}), speedup ×${(full.ms / blocked.ms).toFixed(1)}`,
+);
@@ -0,0 +1,124 @@
+// scripts/evaluate-similarity.js — score groupSimilarEntries against labelled data
+//
+// Usage: node scripts/evaluate-similarity.js [fixture.json] [thresholds=0.5,0.55,…,0.9] [profilesJSON]
+//
+// The fixture is { entries: [...] } where every row carries `incidentId`, the
+// incident it really belongs to (see scripts/similarity-fixture.js; without a
+// file a seeded fixture is generated). Every threshold × weight profile is
+// clustered and compared with the labels:
+//   pairwise precision / recall / F1 — over pairs of entries put in one bucket
+//   ARI — adjusted Rand index of the whole partition (1 = identical, ~0 = chance)
+// profilesJSON is a file { "<name>": { <aspect>: weight, … }, … } replacing
+// the built-in profiles; saved presets in data/similarity-presets.json are
+// evaluated with their own weights as well.
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { groupSimilarEntries } from "../services/similarServices.js";
+import { listPresets } from "../data/presetStore.js";
+import { generateFixture } from "./similarity-fixture.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const [fixtureArg, thresholdsArg, profilesArg] = process.argv.slice(2);
+
+const fixture =
+  fixtureArg && fixtureArg !== "-"
+    ? JSON.parse(fs.readFileSync(path.resolve(fixtureArg), "utf8"))
+    : generateFixture();
+const rows = fixture.entries || fixture;
+
+const thresholds = thresholdsArg
+  ? thresholdsArg.split(",").map(Number).filter(isFinite)
+  : [0.5, 0.55, 0.6, 0.65, 0.7, 0.75, 0.8, 0.85, 0.9];
+
+const profiles = profilesArg
+  ? JSON.parse(fs.readFileSync(path.resolve(profilesArg), "utf8"))
+  : {
+      equal: {},
+      "date×3": { date: 3 },
+      "date+location×3": { date: 3, location: 3 },
+      "no transport/conditions": { transport: 0, conditions: 0 },
+      "ransom-heavy": { date: 2, ransom: 3 },
+    };
+for (const p of await listPresets()) {
+  if (p.weights) profiles[`preset: ${p.name}`] = p.weights;
+}
+
+// ---------- metrics ----------
+const choose2 = (k) => (k * (k - 1)) / 2;
+
+// Contingency of predicted buckets × true incidents
+function contingency(buckets, truthOf) {
+  const table = new Map();
+  const predSizes = [];
+  const trueSizes = new Map();
+  for (const b of buckets) {
+    predSizes.push(b.entryIds.length);
+    const row = new Map();
+    for (const id of b.entryIds) {
+      const t = truthOf.get(id);
+      row.set(t, (row.get(t) || 0) + 1);
+      trueSizes.set(t, (trueSizes.get(t) || 0) + 1);
+    }
+    table.set(b.bucketId, row);
+  }
+  return { table, predSizes, trueSizes: [...trueSizes.values()] };
+}
+
+function evaluate(buckets, truthOf, n) {
+  const { table, predSizes, trueSizes } = contingency(buckets, truthOf);
+  let tp = 0;
+  for (const row of table.values())
+    for (const c of row.values()) tp += choose2(c);
+  const predPairs = predSizes.reduce((a, s) => a + choose2(s), 0);
+  const truePairs = trueSizes.reduce((a, s) => a + choose2(s), 0);
+
+  const precision = predPairs ? tp / predPairs : 1;
+  const recall = truePairs ? tp / truePairs : 1;
+  const f1 =
+    precision + recall ? (2 * precision * recall) / (precision + recall) : 0;
+
+  // Hubert & Arabie adjusted Rand index
+  const expected = (predPairs * truePairs) / choose2(n);
+  const maxIndex = (predPairs + truePairs) / 2;
+  const ari =
+    maxIndex === expected ? 1 : (tp - expected) / (maxIndex - expected);
+
+  return { precision, recall, f1, ari };
+}
+
+// ---------- grid ----------
+const truthOf = new Map(rows.map((r) => [r.id, r.incidentId]));
+const incidents = new Set(truthOf.values()).size;
+console.log(
+  `${rows.length} entries, ${incidents} true incidents, ${thresholds.length} thresholds × ${Object.keys(profiles).length} weight profiles`,
+);
+
+const results = [];
+for (const [profile, weights] of Object.entries(profiles)) {
+  for (const threshold of thresholds) {
+    const { buckets } = groupSimilarEntries(rows, { threshold, weights });
+    results.push({
+      profile,
+      threshold,
+      buckets: buckets.filter((b) => b.size >= 2).length,
+      ...evaluate(buckets, truthOf, rows.length),
+    });
+  }
+}
+
+const pct = (x) => x.toFixed(3).padStart(6);
+console.log(
+  `\n${"profile".padEnd(28)} thr   ${"buckets".padStart(7)}  precision recall     F1    ARI`,
+);
+for (const r of results) {
+  console.log(
+    `${r.profile.padEnd(28)} ${r.threshold.toFixed(2)}  ${String(r.buckets).padStart(7)}  ${pct(r.precision)}    ${pct(r.recall)} ${pct(r.f1)} ${pct(r.ari)}`,
+  );
+}
+
+const best = results.reduce((a, r) => (r.f1 > a.f1 ? r : a));
+console.log(
+  `\n✅ best pairwise F1 ${best.f1.toFixed(3)} (ARI ${best.ari.toFixed(3)}): "${best.profile}" at threshold ${best.threshold}`,
+);
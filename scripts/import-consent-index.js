@@ -0,0 +1,26 @@
+// scripts/import-consent-index.js — load a consented-journals.jsonl into the
+// SQLite consent index (data/db.js)
+//
+// Usage: node scripts/import-consent-index.js [file=data/consented-journals.jsonl]
+//
+// The server loads data/consented-journals.jsonl by itself into an empty
+// database; use this for another file or a database that already has rows.
+// Safe to run twice: resources already indexed are skipped. Malformed lines
+// are reported and skipped; the file is left as is.
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { importConsentIndexFile } from "../data/consentIndex.js";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const file =
+  process.argv[2] ||
+  path.resolve(__dirname, "../data/consented-journals.jsonl");
+
+const { imported, skipped, malformed } = await importConsentIndexFile(file);
+
+console.log(
+  `✅ Imported ${imported} rows from ${file} (${skipped} already indexed, ${malformed} malformed)`,
+);
@@ -0,0 +1,117 @@
+// scripts/similarity-fixture.js — labelled synthetic data for evaluate-similarity.js
+//
+// Usage: node scripts/similarity-fixture.js [incidents=150] [seed=7] > fixture.json
+//
+// Each synthetic incident is reported 1–4 times with realistic noise (dates a
+// day or two off, jittered coordinates, headcounts ±1, rounded ransoms, missing
+// fields, one reporter filing twice). Rows have the consent-index shape
+// returned by getConsentedEntries plus `incidentId`, the ground-truth label.
+import { fileURLToPath } from "url";
+
+// small deterministic PRNG (mulberry32)
+function rng(seed) {
+  return () => {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const PLACES = [
+  { name: "Tripoli Port", country: "ly", lat: 32.8967, lon: 13.1796 },
+  { name: "Bani Walid", country: "ly", lat: 31.7566, lon: 13.9942 },
+  { name: "Sabha", country: "ly", lat: 27.0377, lon: 14.4283 },
+  { name: "Agadez", country: "ne", lat: 16.9742, lon: 7.9865 },
+  { name: "Kassala", country: "sd", lat: 15.451, lon: 36.4 },
+  { name: "Sinai, El Arish", country: "eg", lat: 31.1313, lon: 33.7984 },
+];
+const EVENTS = ["detention", "transfer", "ransom_call", "injury", "checkpoint"];
+const TRANSPORT = ["foot", "van", "bus", "truck", "boat"];
+const CONDITIONS = ["no_food", "no_water", "medical_need"];
+
+/** { entries: [...rows with incidentId], incidents: <count> } */
+export function generateFixture({ incidents = 150, seed = 7 } = {}) {
+  const rand = rng(seed);
+  const pick = (arr) => arr[Math.floor(rand() * arr.length)];
+  const int = (lo, hi) => lo + Math.floor(rand() * (hi - lo + 1));
+  const maybe = (p, v) => (rand() < p ? v : null);
+  const day = (t) => new Date(t).toISOString().slice(0, 10);
+
+  const start = Date.UTC(2024, 0, 1);
+  const reporters = Array.from(
+    { length: 60 },
+    (_, i) => `reporter${i}@example.org`,
+  );
+  const entries = [];
+  let n = 0;
+
+  for (let k = 0; k < incidents; k++) {
+    const place = pick(PLACES);
+    const truth = {
+      t: start + int(0, 365) * 86400000,
+      male: int(0, 15),
+      female: int(0, 10),
+      kids: int(0, 6),
+      ransom: rand() < 0.6 ? int(10, 80) * 100 : null,
+      eventTypes: [pick(EVENTS), ...(rand() < 0.5 ? [pick(EVENTS)] : [])],
+      transport: pick(TRANSPORT),
+      conditions: CONDITIONS.filter(() => rand() < 0.35),
+    };
+    const witnesses = int(1, 4);
+    let reporter = pick(reporters);
+    for (let w = 0; w < witnesses; w++) {
+      // mostly independent witnesses; sometimes the same person files again
+      if (w > 0 && rand() > 0.2) reporter = pick(reporters);
+      const jitter = () => (rand() - 0.5) * 0.01; // ~±500 m
+      const off = (v) => Math.max(0, v + int(-1, 1));
+      const male = off(truth.male),
+        female = off(truth.female),
+        kids = off(truth.kids);
+      const id = `urn:fixture:entry-${++n}`;
+      entries.push({
+        id,
+        link: id,
+        incidentId: `incident-${k + 1}`,
+        personId: reporter,
+        date: day(truth.t + int(-2, 2) * 86400000 * (rand() < 0.6 ? 0 : 1)),
+        location: place.name,
+        country: place.country,
+        lat: maybe(0.85, +(place.lat + jitter()).toFixed(5)),
+        lon: null,
+        placeId: null,
+        male: maybe(0.9, male),
+        female: maybe(0.9, female),
+        kids: maybe(0.9, kids),
+        total: male + female + kids,
+        ransom:
+          truth.ransom != null
+            ? maybe(
+                0.8,
+                Math.round((truth.ransom * (0.95 + rand() * 0.1)) / 50) * 50,
+              )
+            : null,
+        eventTypes: truth.eventTypes.filter((_, i) => i === 0 || rand() < 0.7),
+        transport: maybe(0.8, truth.transport),
+        conditions: truth.conditions.filter(() => rand() < 0.8),
+      });
+      const row = entries[entries.length - 1];
+      if (row.lat != null) row.lon = +(place.lon + jitter()).toFixed(5);
+    }
+  }
+
+  // reports arrive in time order, not grouped by incident
+  entries.sort(
+    (a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id),
+  );
+  return { seed, incidents, entries };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const incidents = Number(process.argv[2]) || 150;
+  const seed = Number(process.argv[3]) || 7;
+  process.stdout.write(
+    JSON.stringify(generateFixture({ incidents, seed }), null, 2) + "\n",
+  );
+}
@@ -10,20 +10,10 @@ import {
   getSolidDataset,
   getThingAll,
   getStringNoLocale,
-  // solid RDF + container + ACL helpers for journal save
-  createSolidDataset,
+  // solid RDF helpers for journal edits (the rest is in services/journalServices.js)
   setThing,
+  removeThing,
   saveSolidDatasetAt,
-  buildThing,
-  createThing,
-  createContainerAt,
-  getSolidDatasetWithAcl,
-  hasResourceAcl,
-  hasAccessibleAcl,
-  getResourceAcl,
-  createAcl,
-  setAgentResourceAccess,
-  saveAclFor,
   getContainedResourceUrlAll, // ⬅️ added here (no later duplicate import)
 } from "@inrupt/solid-client";
 import dotenv from "dotenv";
@@ -44,6 +34,55 @@ import connectRedis from "connect-redis";
 
 // 🔗 Similarity API route (JS build)
 import similarRoutes from "./routes/similar.js";
+import bucketRoutes from "./routes/buckets.js";
+import incidentRoutes from "./routes/incidents.js";
+import matchRoutes from "./routes/matches.js";
+import presetRoutes from "./routes/presets.js";
+import similarityRuleRoutes from "./routes/similarityRules.js";
+import exchangeRateRoutes from "./routes/exchangeRates.js";
+import vocabularyRoutes from "./routes/vocabulary.js";
+import organisationRoutes from "./routes/organisations.js";
+import consentReceiptRoutes from "./routes/consentReceipts.js";
+import consentEventRoutes from "./routes/consentEvents.js";
+import { canonicalTerm, canonicalTerms } from "./data/vocabulary.js";
+import { findPossibleMatches } from "./services/matchServices.js";
+import {
+  invalidateJournalFields,
+  parseJournalForm,
+} from "./data/journalResources.js";
+import {
+  basesFromTargetPod,
+  buildJournalDataset,
+  ensureContainerAt,
+  moveJournalEntry,
+  readAccessOf,
+  receiptUrlFor,
+  setOrganisationAccess,
+} from "./services/journalServices.js";
+import {
+  DEFAULT_ORGANISATION,
+  getOrganisation,
+  organisationForEmail,
+  rowOrganisations,
+} from "./data/organisations.js";
+import {
+  MAX_CONSENT_DAYS,
+  closeConsentReceipt,
+  consentExpiry,
+  issueConsentReceipt,
+  releaseEntry,
+  startConsentExpiryJob,
+} from "./services/consentServices.js";
+import { recordConsentEvent } from "./data/consentEvents.js";
+import {
+  appendConsentedLink,
+  importLegacyConsentIndex,
+  normalizeUrl,
+  pruneConsentIndex,
+  readConsentIndex,
+  removeFromConsentIndex,
+  updateConsentIndexEntry,
+} from "./data/consentIndex.js";
 
 dotenv.config();
 
@@ -53,6 +92,11 @@ const __dirname = path.dirname(__filename);
 const app = express();
 app.use(fileUpload());
 app.use(express.static(path.join(__dirname, "public")));
+// the similarity engine is plain ES with no Node imports; the analyst page
+// imports the same module the API uses
+app.get("/js/shared/similarity.js", (req, res) => {
+  res.sendFile(path.join(__dirname, "similarity.js"));
+});
 app.use(express.json());
 
 // ---------- Redis session config ----------
@@ -82,6 +126,11 @@ app.use((req, res, next) => {
   if (req.session?.user?.email?.endsWith("@ngo.com")) {
     req.session.user.role = "admin";
   }
+  // staff of a registered organisation see what was shared with it
+  if (req.session?.user) {
+    req.session.user.organisation =
+      organisationForEmail(req.session.user.email)?.id || null;
+  }
   next();
 });
 
@@ -92,6 +141,16 @@ app.use(alertRoutes);
 
 // 🔗 mount similarity API
 app.use(similarRoutes);
+app.use(bucketRoutes);
+app.use(incidentRoutes);
+app.use(matchRoutes);
+app.use(presetRoutes);
+app.use(similarityRuleRoutes);
+app.use(exchangeRateRoutes);
+app.use(vocabularyRoutes);
+app.use(organisationRoutes);
+app.use(consentReceiptRoutes);
+app.use(consentEventRoutes);
 
 // ---------- Local storage dirs ----------
 const uploadsDir = path.join(__dirname, "uploads");
@@ -268,157 +327,73 @@ app.delete("/file", async (req, res) => {
 // Save journal entry to the refugee's Solid Pod (per-entry optional NGO read)
 // ===================================================================================
 
-const SCHEMA = "https://schema.org/";
-const WGS84 = "http://www.w3.org/2003/01/geo/wgs84_pos#";
-const DCT = "http://purl.org/dc/terms/";
-
-// Set your NGO WebID here or via env
-const NGO_WEBID =
-  process.env.NGO_WEBID || "https://example-ngo.org/profile/card#me";
-
-/** Ensure a Solid container exists (ignore error if it already exists). */
-async function ensureContainerAt(url, sessionNode) {
-  try {
-    await createContainerAt(url.endsWith("/") ? url : url + "/", {
-      fetch: sessionNode.fetch,
-    });
-  } catch (_) {
-    /* likely 409: already exists */
-  }
-}
-
-/** Build an RDF dataset for the journal entry (Event + linked Place). */
-function buildJournalDataset(entryIri, placeIri, payload) {
-  const {
-    date,
-    people = {},
-    ransom,
-    eventTypes = [],
-    transport,
-    conditions = [],
-    location = {},
-  } = payload;
-
-  // ----- Event -----
-  let ev = buildThing(createThing({ url: entryIri }))
-    .addUrl("http://www.w3.org/1999/02/22-rdf-syntax-ns#type", SCHEMA + "Event")
-    .addStringNoLocale(SCHEMA + "name", "Refugee Journal Entry")
-    .addStringNoLocale(DCT + "created", new Date().toISOString())
-    .addStringNoLocale(SCHEMA + "startDate", date || "")
-    .addInteger(SCHEMA + "numberOfItems", people.total ?? 0)
-    .addInteger(SCHEMA + "maleCount", people.males ?? 0)
-    .addInteger(SCHEMA + "femaleCount", people.females ?? 0)
-    .addInteger(SCHEMA + "childrenCount", people.kids ?? 0)
-    .addStringNoLocale(SCHEMA + "monetaryAmount", String(ransom ?? ""))
-    .addStringNoLocale(SCHEMA + "vehicle", transport || "")
-    .addUrl(SCHEMA + "location", placeIri);
-
-  (eventTypes || []).forEach((v) => {
-    ev = ev.addStringNoLocale(SCHEMA + "eventType", String(v));
-  });
-  (conditions || []).forEach((v) => {
-    ev = ev.addStringNoLocale(SCHEMA + "healthCondition", String(v));
-  });
-
-  const eventThing = ev.build();
-
-  // ----- Place -----
-  const placeThing = buildThing(createThing({ url: placeIri }))
-    .addUrl("http://www.w3.org/1999/02/22-rdf-syntax-ns#type", SCHEMA + "Place")
-    .addStringNoLocale(
-      SCHEMA + "name",
-      location.display_name || location.text || "",
-    )
-    .addStringNoLocale(
-      "http://www.w3.org/2006/vcard/ns#country-name",
-      location.country_iso2 || "",
-    )
-    .addDecimal(WGS84 + "lat", location.lat ? Number(location.lat) : 0)
-    .addDecimal(WGS84 + "long", location.lon ? Number(location.lon) : 0)
-    .addStringNoLocale(
-      SCHEMA + "identifier",
-      (location.osm_type ? `${location.osm_type}:` : "") +
-        (location.osm_id || ""),
-    )
-    .build();
-
-  let ds = createSolidDataset();
-  ds = setThing(ds, eventThing);
-  ds = setThing(ds, placeThing);
-  return ds;
+/** Replace transport / event types / conditions with their vocabulary codes */
+function withCanonicalTerms(payload) {
+  return {
+    ...payload,
+    transport: canonicalTerm("transport", payload.transport),
+    eventTypes: canonicalTerms("eventTypes", payload.eventTypes || []),
+    conditions: canonicalTerms("conditions", payload.conditions || []),
+  };
 }
 
-/** Optionally grant NGO read access on the resource via WAC ACL. */
-async function grantNgoReadIfConsented(resourceUrl, consent, sessionNode) {
-  if (!consent || !NGO_WEBID) return;
-  try {
-    const dsWithAcl = await getSolidDatasetWithAcl(resourceUrl, {
-      fetch: sessionNode.fetch,
-    });
-    let resourceAcl = hasResourceAcl(dsWithAcl)
-      ? getResourceAcl(dsWithAcl)
-      : hasAccessibleAcl(dsWithAcl)
-        ? createAcl(dsWithAcl)
-        : null;
-
-    if (resourceAcl) {
-      resourceAcl = setAgentResourceAccess(resourceAcl, NGO_WEBID, {
-        read: true,
-        append: false,
-        write: false,
-        control: false,
-      });
-      await saveAclFor(dsWithAcl, resourceAcl);
-    } else {
-      console.warn("⚠️ Could not set ACL for resource (no accessible ACL).");
-    }
-  } catch (e) {
-    console.warn("⚠️ Setting NGO read access failed:", e?.message || e);
-  }
+/**
+ * Organisation ids picked in a request body ({ organisations: [] }), or
+ * { error } for unknown ones. Nothing picked means the NGO, as before.
+ */
+function pickedOrganisations(body) {
+  const raw = body?.organisations;
+  if (raw == null) return { ids: [DEFAULT_ORGANISATION] };
+  if (!Array.isArray(raw) || !raw.length)
+    return { error: "Pick at least one organisation to share with" };
+  const ids = [...new Set(raw.map(String))];
+  const unknown = ids.filter((id) => !getOrganisation(id));
+  if (unknown.length)
+    return { error: `Unknown organisation(s): ${unknown.join(", ")}` };
+  return { ids };
 }
 
-/** Decide public vs private bases from targetPod */
-function basesFromTargetPod(targetPod) {
-  const base = targetPod.endsWith("/") ? targetPod : targetPod + "/";
-  const endsWithPublic = /\/public\/?$/i.test(base);
-  if (endsWithPublic) {
-    const privateBase = base.replace(/public\/?$/i, "");
-    const publicBase = base;
-    return { privateBase, publicBase };
-  }
-  const privateBase = base;
-  const publicBase = new URL("public/", privateBase).href;
-  return { privateBase, publicBase };
+/** Consent length in days from request field `field`; null = until withdrawn */
+function parseConsentDays(days, field) {
+  if (days == null || days === "") return { days: null };
+  if (!Number.isInteger(days) || days < 1 || days > MAX_CONSENT_DAYS)
+    return {
+      error: `'${field}' must be a whole number of days (1–${MAX_CONSENT_DAYS})`,
+    };
+  return { days };
 }
 
-/** Append a consented link record for NGO list */
-const NGO_CONSENTED_PATH = path.join(DATA_DIR, "consented-journals.jsonl");
-async function appendConsentedLink(entry) {
-  const line = JSON.stringify(entry) + "\n";
-  await fsp.appendFile(NGO_CONSENTED_PATH, line, "utf8");
+/** The entry URL if it is a journal resource in this user's Pod, else null */
+function ownJournalEntryUrl(user, url) {
+  const resourceUrl = typeof url === "string" ? url.trim() : "";
+  if (!/\/entry-[^/]+\.ttl$/i.test(resourceUrl)) return null;
+  const { privateBase, publicBase } = basesFromTargetPod(user.targetPod);
+  const containers = [privateBase, publicBase].map((b) =>
+    normalizeUrl(new URL("journal/", b).href),
+  );
+  const target = normalizeUrl(resourceUrl);
+  return containers.some((c) => target.startsWith(c + "/"))
+    ? resourceUrl
+    : null;
 }
 
-/** NGO-only: list consented links (newest first) with auto-prune of deleted URLs */
+/**
+ * Organisation staff only: the links shared with their organisation (newest
+ * first) with auto-prune of deleted URLs
+ */
 app.get("/ngo/consented-journals", async (req, res) => {
   try {
     const user = req.session.user;
-    if (!user || user.role !== "admin")
-      return res.status(403).send("Forbidden");
+    const organisation =
+      user?.organisation ||
+      (user?.role === "admin" ? DEFAULT_ORGANISATION : null);
+    if (!organisation) return res.status(403).send("Forbidden");
 
     // prevent browser/proxy caching stale lists
     res.setHeader("Cache-Control", "no-store, max-age=0");
 
-    let rows = [];
-    try {
-      const txt = await fsp.readFile(NGO_CONSENTED_PATH, "utf8");
-      rows = txt
-        .split("\n")
-        .filter(Boolean)
-        .map((l) => JSON.parse(l));
-    } catch {
-      // none yet
-      return res.json([]);
-    }
+    const rows = await readConsentIndex({ organisation });
+    if (!rows.length) return res.json([]); // none yet
 
     // Probe which ones still exist (HEAD). We expect read access only to consented (public or ACL-granted) links.
     // Limit concurrency to avoid flooding (simple windowed loop).
@@ -454,14 +429,14 @@ app.get("/ngo/consented-journals", async (req, res) => {
     );
     await Promise.all(workers);
 
-    // Keep only alive; if any were pruned, rewrite the JSONL file
+    // Keep only alive; drop the dead ones from the index
     const aliveRows = results.filter((r) => r && r.alive).map((r) => r.row);
     if (aliveRows.length !== rows.length) {
-      const newText =
-        aliveRows.map((r) => JSON.stringify(r)).join("\n") +
-        (aliveRows.length ? "\n" : "");
+      const dead = new Set(
+        results.filter((r) => r && !r.alive).map((r) => r.row.url),
+      );
       try {
-        await fsp.writeFile(NGO_CONSENTED_PATH, newText, "utf8");
+        await pruneConsentIndex((row) => !dead.has(row.url));
       } catch {}
     }
 
@@ -473,52 +448,25 @@ app.get("/ngo/consented-journals", async (req, res) => {
     res.status(500).send("Failed to load consented journals.");
   }
 });
-// --- helpers for consented-journals cleanup ---
-function normalizeUrl(u) {
-  if (!u) return "";
-  try {
-    // decode, trim trailing slashes, lowercase scheme/host
-    const dec = decodeURIComponent(String(u).trim());
-    const url = new URL(dec);
-    url.hash = "";
-    // normalize host & protocol to lowercase; keep path/query as-is
-    const norm = `${url.protocol.toLowerCase()}//${url.host.toLowerCase()}${url.pathname.replace(/\/+$/, "")}${url.search}`;
-    return norm;
-  } catch {
-    // not a valid URL; best-effort normalization
-    return String(u).trim().replace(/\/+$/, "");
-  }
-}
-
-function removeFromConsentIndexByUrlSync(jsonlText, targetUrl) {
-  const target = normalizeUrl(targetUrl);
-  const out = [];
-  const lines = jsonlText.split("\n");
-  for (const l of lines) {
-    if (!l.trim()) continue;
-    try {
-      const obj = JSON.parse(l);
-      const cur = normalizeUrl(obj.url);
-      if (cur === target) continue; // drop
-      // also drop if decoded matches encoded (defensive)
-      if (normalizeUrl(decodeURIComponent(obj.url || "")) === target) continue;
-      out.push(JSON.stringify(obj));
-    } catch {
-      // malformed line → keep it (or drop; choose keep to avoid data loss)
-      out.push(l);
-    }
-  }
-  return out.join("\n") + (out.length ? "\n" : "");
-}
 /**
  * POST /journal
- * Body: { date, location:{...}, people:{...}, ransom, eventTypes[], transport, conditions[], consent }
+ * Body: { date, location:{...}, people:{...}, ransom, ransomCurrency, eventTypes[], transport, conditions[], consent, organisations[], consentDays }
  */
 app.post("/journal", async (req, res) => {
   try {
     const user = req.session.user;
     if (!user) return res.status(401).send("Unauthorized. Please log in.");
 
+    const { ids: organisations, error } = req.body?.consent
+      ? pickedOrganisations(req.body)
+      : { ids: [] };
+    if (error) return res.status(400).send(error);
+    const { days, error: daysError } = parseConsentDays(
+      req.body?.consentDays,
+      "consentDays",
+    );
+    if (daysError) return res.status(400).send(daysError);
+
     const sessionNode = new Session();
     await sessionNode.login({
       clientId: user.clientId,
@@ -537,23 +485,57 @@ app.post("/journal", async (req, res) => {
     const entryIri = new URL(id, containerUrl).href;
     const placeIri = entryIri + "#place";
 
-    const dataset = buildJournalDataset(entryIri, placeIri, req.body || {});
+    const dataset = buildJournalDataset(
+      entryIri,
+      placeIri,
+      withCanonicalTerms(req.body || {}),
+    );
     const resourceUrl = `${entryIri}.ttl`;
     await saveSolidDatasetAt(resourceUrl, dataset, {
       fetch: sessionNode.fetch,
     });
 
     if (req.body?.consent) {
-      await grantNgoReadIfConsented(resourceUrl, true, sessionNode);
+      try {
+        await setOrganisationAccess(resourceUrl, organisations, sessionNode);
+      } catch (e) {
+        console.warn("⚠️ Setting read access failed:", e?.message || e);
+      }
+      const expires_iso = consentExpiry(days);
+      const receipt = await issueConsentReceipt(
+        resourceUrl,
+        {
+          reporter: user.email || null,
+          subject: sessionNode.info?.webId || null,
+          organisations,
+          expiresAt: expires_iso,
+        },
+        sessionNode,
+      );
       await appendConsentedLink({
         url: resourceUrl,
+        organisations,
         timestamp_iso: new Date().toISOString(),
+        expires_iso,
+        receipt_id: receipt.id,
         reporter_email: req.session.user?.email || null,
         reporter_webId: sessionNode.info?.webId || null,
         date_event: req.body?.date || null,
         location_display_name:
           req.body?.location?.display_name || req.body?.location?.text || null,
       });
+      await recordConsentEvent("shared", {
+        url: resourceUrl,
+        reporter: user.email || null,
+        organisations,
+        expires_iso,
+        receipt: receipt.id,
+      });
+      // Score against existing entries/incidents in the background; the
+      // reporter doesn't wait for it
+      findPossibleMatches(resourceUrl).catch((e) =>
+        console.warn("⚠️ Incremental matching failed:", e?.message || e),
+      );
     }
 
     res.status(201).json({
@@ -609,9 +591,37 @@ app.get("/journal/mine", async (req, res) => {
       listEntries(pubContainer),
     ]);
 
+    // who each shared entry is shared with, and until when
+    const shared = new Map(
+      (await readConsentIndex({ reporter: user.email })).map((r) => [
+        normalizeUrl(r.url),
+        r,
+      ]),
+    );
+    const withConsent = (entries) =>
+      entries.map((e) => {
+        const row = shared.get(normalizeUrl(e.url));
+        return {
+          ...e,
+          consent: row
+            ? {
+                organisations: rowOrganisations(row),
+                expires_iso: row.expires_iso || null,
+                receipt_id: row.receipt_id || null,
+              }
+            : null,
+        };
+      });
+
     res.json({
-      private: { containerUrl: privContainer, entries: privateEntries },
-      public: { containerUrl: pubContainer, entries: publicEntries },
+      private: {
+        containerUrl: privContainer,
+        entries: withConsent(privateEntries),
+      },
+      public: {
+        containerUrl: pubContainer,
+        entries: withConsent(publicEntries),
+      },
     });
   } catch (err) {
     console.error("GET /journal/mine error:", err);
@@ -619,6 +629,388 @@ app.get("/journal/mine", async (req, res) => {
   }
 });
 
+// ---------------- Refugee: read one journal entry back as form JSON ----------------
+app.get("/journal/entry", async (req, res) => {
+  try {
+    const user = req.session.user;
+    if (!user) return res.status(401).send("Unauthorized");
+
+    const resourceUrl = ownJournalEntryUrl(user, req.query.url);
+    if (!resourceUrl) return res.status(400).send("Not one of your entries");
+
+    const sessionNode = new Session();
+    await sessionNode.login({
+      clientId: user.clientId,
+      clientSecret: user.clientSecret,
+      oidcIssuer: user.oidcIssuer,
+    });
+
+    let dataset;
+    try {
+      dataset = await getSolidDataset(resourceUrl, {
+        fetch: sessionNode.fetch,
+      });
+    } catch (e) {
+      if (e?.statusCode === 404) return res.status(404).send("Entry not found");
+      throw e;
+    }
+    const form = parseJournalForm(dataset, resourceUrl);
+    if (!form) return res.status(404).send("Entry not found");
+
+    const [row] = await readConsentIndex({ url: resourceUrl });
+    res.json({
+      ...form,
+      consent: !!row,
+      organisations: row ? rowOrganisations(row) : [],
+    });
+  } catch (err) {
+    console.error("GET /journal/entry error:", err);
+    res.status(500).send("Could not load entry.");
+  }
+});
+
+/**
+ * PUT /journal/entry
+ * Body: { url, ...same fields as POST /journal }. Rewrites the entry in place,
+ * keeping its URL, dct:created and consent; consent itself is not changed here.
+ */
+app.put("/journal/entry", async (req, res) => {
+  try {
+    const user = req.session.user;
+    if (!user) return res.status(401).send("Unauthorized");
+
+    const resourceUrl = ownJournalEntryUrl(user, req.body?.url);
+    if (!resourceUrl) return res.status(400).send("Not one of your entries");
+
+    const sessionNode = new Session();
+    await sessionNode.login({
+      clientId: user.clientId,
+      clientSecret: user.clientSecret,
+      oidcIssuer: user.oidcIssuer,
+    });
+
+    let existing;
+    try {
+      existing = await getSolidDataset(resourceUrl, {
+        fetch: sessionNode.fetch,
+      });
+    } catch (e) {
+      if (e?.statusCode === 404) return res.status(404).send("Entry not found");
+      throw e;
+    }
+    const before = parseJournalForm(existing, resourceUrl);
+    if (!before) return res.status(404).send("Entry not found");
+
+    const modified = new Date().toISOString();
+    const entryIri = resourceUrl.replace(/\.ttl$/i, "");
+    const fresh = buildJournalDataset(
+      entryIri,
+      entryIri + "#place",
+      withCanonicalTerms(req.body || {}),
+      { created: before.created || modified, modified },
+    );
+    // swap the Things inside the fetched dataset so the save is a PATCH of
+    // the existing resource (and its ACL stays untouched)
+    let dataset = existing;
+    for (const t of getThingAll(existing)) dataset = removeThing(dataset, t);
+    for (const t of getThingAll(fresh)) dataset = setThing(dataset, t);
+    await saveSolidDatasetAt(resourceUrl, dataset, {
+      fetch: sessionNode.fetch,
+    });
+    invalidateJournalFields(resourceUrl);
+
+    const consented = await updateConsentIndexEntry(resourceUrl, {
+      date_event: req.body?.date || null,
+      location_display_name:
+        req.body?.location?.display_name || req.body?.location?.text || null,
+      modified_iso: modified,
+    });
+    if (consented) {
+      findPossibleMatches(resourceUrl).catch((e) =>
+        console.warn("⚠️ Incremental matching failed:", e?.message || e),
+      );
+    }
+
+    res.json({
+      message: "✅ Journal entry updated",
+      url: resourceUrl,
+      modified,
+    });
+  } catch (err) {
+    console.error("PUT /journal/entry error:", err);
+    res.status(500).send("Could not update entry.");
+  }
+});
+
+// ---------------- Refugee: share or withdraw one journal entry --------------------
+/**
+ * POST /journal/consent
+ * Body: { url, consent: boolean, organisations?: [id], consentDays? }. Sharing moves the
+ * entry to the public container, grants the picked organisations read access
+ * (and no others) and indexes it; withdrawing removes every grant, moves it
+ * back to the private container and drops it from the index. The reply says
+ * which organisations can still read the entry.
+ */
+app.post("/journal/consent", async (req, res) => {
+  try {
+    const user = req.session.user;
+    if (!user) return res.status(401).send("Unauthorized");
+
+    const resourceUrl = ownJournalEntryUrl(user, req.body?.url);
+    if (!resourceUrl) return res.status(400).send("Not one of your entries");
+    if (typeof req.body?.consent !== "boolean")
+      return res.status(400).send("'consent' must be true or false");
+    const consent = req.body.consent;
+    const { ids: organisations, error } = consent
+      ? pickedOrganisations(req.body)
+      : { ids: [] };
+    if (error) return res.status(400).send(error);
+    const { days, error: daysError } = parseConsentDays(
+      req.body?.consentDays,
+      "consentDays",
+    );
+    if (daysError) return res.status(400).send(daysError);
+
+    const sessionNode = new Session();
+    await sessionNode.login({
+      clientId: user.clientId,
+      clientSecret: user.clientSecret,
+      oidcIssuer: user.oidcIssuer,
+    });
+
+    const { privateBase, publicBase } = basesFromTargetPod(user.targetPod);
+    const targetContainer = new URL(
+      "journal/",
+      consent ? publicBase : privateBase,
+    ).href;
+    const inTarget =
+      normalizeUrl(resourceUrl) ===
+      normalizeUrl(new URL(resourceUrl.split("/").pop(), targetContainer).href);
+
+    // withdraw the grants first, so access ends even if the move fails
+    if (!consent) {
+      try {
+        await setOrganisationAccess(resourceUrl, [], sessionNode);
+      } catch (e) {
+        if (e?.statusCode === 404)
+          return res.status(404).send("Entry not found");
+        // moving it out of the public container below still ends access
+        console.warn("⚠️ Removing read access failed:", e?.message || e);
+      }
+    }
+
+    let url = resourceUrl;
+    let form = null;
+    if (!inTarget) {
+      try {
+        ({ url, form } = await moveJournalEntry(
+          resourceUrl,
+          targetContainer,
+          sessionNode,
+        ));
+      } catch (e) {
+        if (e?.statusCode === 404)
+          return res.status(404).send("Entry not found");
+        if (e?.statusCode === 409 || e?.statusCode === 412)
+          return res
+            .status(409)
+            .send("An entry with the same name already exists there");
+        throw e;
+      }
+    }
+
+    // the index follows the entry: its row is replaced under the new URL
+    if (consent) {
+      const previous = new Set(
+        (await readConsentIndex({ url: resourceUrl })).flatMap(
+          rowOrganisations,
+        ),
+      );
+      const dropped = [...previous].filter((id) => !organisations.includes(id));
+      try {
+        await setOrganisationAccess(url, organisations, sessionNode);
+      } catch (e) {
+        console.warn("⚠️ Setting read access failed:", e?.message || e);
+      }
+      if (!form) {
+        const ds = await getSolidDataset(url, { fetch: sessionNode.fetch });
+        form = parseJournalForm(ds, url);
+      }
+      const expires_iso = consentExpiry(days);
+      const receipt = await issueConsentReceipt(
+        url,
+        {
+          reporter: user.email || null,
+          subject: sessionNode.info?.webId || null,
+          organisations,
+          expiresAt: expires_iso,
+          previousUrl: resourceUrl,
+        },
+        sessionNode,
+      );
+      await appendConsentedLink({
+        url,
+        organisations,
+        timestamp_iso: new Date().toISOString(),
+        expires_iso,
+        receipt_id: receipt.id,
+        reporter_email: user.email || null,
+        reporter_webId: sessionNode.info?.webId || null,
+        date_event: form?.date || null,
+        location_display_name: form?.location?.display_name || null,
+      });
+      if (url !== resourceUrl) await removeFromConsentIndex(resourceUrl);
+      // the NGO's buckets, matches and incidents only hold entries shared
+      // with it: a re-share that leaves the NGO out takes the entry out of them
+      const released = dropped.includes(DEFAULT_ORGANISATION)
+        ? await releaseEntry(resourceUrl, user.email, { keepInIndex: true })
+        : null;
+      await recordConsentEvent("shared", {
+        url,
+        reporter: user.email || null,
+        organisations,
+        dropped,
+        expires_iso,
+        receipt: receipt.id,
+        released,
+      });
+      findPossibleMatches(url).catch((e) =>
+        console.warn("⚠️ Incremental matching failed:", e?.message || e),
+      );
+    } else {
+      const closing = await closeConsentReceipt(resourceUrl, "withdrawn", {
+        entryUrl: url,
+        sessionNode,
+      });
+      // out of the index and the NGO's buckets, matches and incidents
+      const released = await releaseEntry(resourceUrl, user.email);
+      await recordConsentEvent("withdrawn", {
+        url: resourceUrl,
+        reporter: user.email || null,
+        movedTo: url !== resourceUrl ? url : null,
+        receipt: closing?.id || null,
+        released,
+      });
+    }
+    invalidateJournalFields(url);
+
+    const access = await readAccessOf(url, sessionNode);
+    const names = (ids) =>
+      ids.map((id) => getOrganisation(id)?.name || id).join(", ");
+    let message;
+    if (consent) {
+      const missing = access.readableBy
+        ? organisations.filter((id) => !access.readableBy.includes(id))
+        : [];
+      message = missing.length
+        ? `⚠️ Entry shared, but ${names(missing)} could not be given read access.`
+        : access.otherReaders?.length
+          ? `⚠️ Entry shared with ${names(organisations)}, but it is also readable by ${access.otherReaders.join(", ")}.`
+          : `✅ Entry shared. ${names(organisations)} can now read it (read-only).`;
+    } else if (
+      access.readableBy?.length ||
+      access.otherReaders?.length ||
+      access.publiclyReadable
+    ) {
+      const readers = [
+        ...(access.readableBy ?? []).map(
+          (id) => getOrganisation(id)?.name || id,
+        ),
+        ...(access.otherReaders ?? []),
+      ];
+      message =
+        "⚠️ Consent withdrawn, but the entry is still readable" +
+        (readers.length ? ` by ${readers.join(", ")}` : " publicly") +
+        " through its folder's permissions.";
+    } else if (access.readableBy === null) {
+      message =
+        "✅ Consent withdrawn and the entry moved to your private folder. Its permissions could not be checked.";
+    } else {
+      message =
+        "✅ Consent withdrawn. No organisation can read this entry any more.";
+    }
+
+    res.json({
+      message,
+      url,
+      previousUrl: url !== resourceUrl ? resourceUrl : null,
+      consent,
+      ...access,
+    });
+  } catch (err) {
+    console.error("POST /journal/consent error:", err);
+    res.status(500).send("Could not change consent for this entry.");
+  }
+});
+
+/**
+ * POST /journal/consent/extend
+ * Body: { url, days }. Moves the expiry of a shared entry `days` further
+ * (counted from now if it already passed); days: null removes the expiry.
+ */
+app.post("/journal/consent/extend", async (req, res) => {
+  try {
+    const user = req.session.user;
+    if (!user) return res.status(401).send("Unauthorized");
+
+    const resourceUrl = ownJournalEntryUrl(user, req.body?.url);
+    if (!resourceUrl) return res.status(400).send("Not one of your entries");
+    const { days, error } = parseConsentDays(req.body?.days, "days");
+    if (error) return res.status(400).send(error);
+
+    const [row] = await readConsentIndex({ url: resourceUrl });
+    if (!row) return res.status(404).send("This entry is not shared");
+
+    const now = new Date();
+    const from =
+      row.expires_iso && new Date(row.expires_iso) > now
+        ? new Date(row.expires_iso)
+        : now;
+    const expires_iso = consentExpiry(days, from);
+
+    const sessionNode = new Session();
+    await sessionNode.login({
+      clientId: user.clientId,
+      clientSecret: user.clientSecret,
+      oidcIssuer: user.oidcIssuer,
+    });
+    // a new receipt with the new expiry replaces the current one
+    const receipt = await issueConsentReceipt(
+      row.url,
+      {
+        reporter: user.email || null,
+        subject: sessionNode.info?.webId || row.reporter_webId || null,
+        organisations: rowOrganisations(row),
+        expiresAt: expires_iso,
+      },
+      sessionNode,
+    );
+    await updateConsentIndexEntry(resourceUrl, {
+      expires_iso,
+      receipt_id: receipt.id,
+    });
+    await recordConsentEvent("extended", {
+      url: row.url,
+      reporter: user.email || null,
+      organisations: rowOrganisations(row),
+      previous_expires_iso: row.expires_iso || null,
+      expires_iso,
+      receipt: receipt.id,
+    });
+
+    res.json({
+      message: expires_iso
+        ? `✅ Sharing extended until ${expires_iso.slice(0, 10)}.`
+        : "✅ Sharing no longer expires; it lasts until you withdraw it.",
+      url: row.url,
+      expires_iso,
+    });
+  } catch (err) {
+    console.error("POST /journal/consent/extend error:", err);
+    res.status(500).send("Could not extend consent for this entry.");
+  }
+});
+
 // ---------------- Refugee: delete one journal entry (private or public) -------------
 app.post("/journal/delete", async (req, res) => {
   try {
@@ -643,15 +1035,17 @@ app.post("/journal/delete", async (req, res) => {
       return res.status(502).send("Failed to delete from Solid Pod.");
     }
 
-    // Best-effort: remove from NGO consent index if present (robust URL match)
+    // The receipts next to it go too; the NGO keeps its copies, closed
+    await sessionNode
+      .fetch(receiptUrlFor(resourceUrl), { method: "DELETE" })
+      .catch(() => {});
+
+    // Best-effort: remove from NGO consent index and analysis if present
     try {
-      const txt = await fsp.readFile(NGO_CONSENTED_PATH, "utf8");
-      const cleaned = removeFromConsentIndexByUrlSync(txt, resourceUrl);
-      if (cleaned !== txt) {
-        await fsp.writeFile(NGO_CONSENTED_PATH, cleaned, "utf8");
-      }
-    } catch {
-      /* index may not exist yet; ignore */
+      await closeConsentReceipt(resourceUrl, "withdrawn");
+      await releaseEntry(resourceUrl, user.email);
+    } catch (e) {
+      console.warn("⚠️ Could not update consent index:", e?.message || e);
     }
 
     res.send("✅ Entry deleted.");
@@ -731,6 +1125,9 @@ app.get("/similarity", (req, res) => {
 });
 
 // ---------- Start server ----------
+// a database new to SQLite starts from the JSONL index used before it
+await importLegacyConsentIndex();
 app.listen(3001, () => {
   console.log("🚀 Upload server listening at http://localhost:3001");
+  startConsentExpiryJob();
 });
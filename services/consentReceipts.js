@@ -0,0 +1,185 @@
+// services/consentReceipts.js
+// Consent receipts: JSON-LD documents in the W3C Data Privacy Vocabulary
+// (DPV) stating who consented, to which recipients, for what purpose, when and
+// until when, signed with the server's Ed25519 key so the refugee and the NGO
+// hold the same verifiable record. Withdrawal and expiry are signed receipts
+// too, pointing at the one they end (dct:replaces).
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const KEY_PATH = path.resolve(__dirname, "../data/consent-signing-key.pem");
+
+const CONTEXT = {
+  dpv: "https://w3id.org/dpv#",
+  dct: "http://purl.org/dc/terms/",
+  schema: "https://schema.org/",
+};
+
+export const CONSENT_PURPOSE =
+  "Documenting incidents along migration routes so that organisations can support the people affected and corroborate reports.";
+
+// what a recipient may do with a shared entry
+const PROCESSING = ["dpv:Access", "dpv:Analyse"];
+
+export const RECEIPT_STATUSES = {
+  given: "dpv:ConsentGiven",
+  withdrawn: "dpv:ConsentWithdrawn",
+  expired: "dpv:ConsentExpired",
+};
+
+// ---------- signing key ----------
+let signingKey = null;
+
+/**
+ * The server's private key: CONSENT_SIGNING_KEY (PEM) if set, else the key in
+ * data/consent-signing-key.pem, generated on first use.
+ */
+function getSigningKey() {
+  if (signingKey) return signingKey;
+  let pem = process.env.CONSENT_SIGNING_KEY?.replace(/\\n/g, "\n");
+  if (!pem) {
+    try {
+      pem = fs.readFileSync(KEY_PATH, "utf8");
+    } catch {
+      const { privateKey } = crypto.generateKeyPairSync("ed25519");
+      pem = privateKey.export({ type: "pkcs8", format: "pem" });
+      fs.writeFileSync(KEY_PATH, pem, { mode: 0o600 });
+      console.log("🔑 Generated consent signing key:", KEY_PATH);
+    }
+  }
+  const privateKey = crypto.createPrivateKey(pem);
+  const publicKey = crypto.createPublicKey(privateKey);
+  const der = publicKey.export({ type: "spki", format: "der" });
+  signingKey = {
+    privateKey,
+    publicKey,
+    kid: crypto
+      .createHash("sha256")
+      .update(der)
+      .digest("base64url")
+      .slice(0, 16),
+  };
+  return signingKey;
+}
+
+/** Public half of the signing key, for anyone verifying a receipt. */
+export function getPublicKey() {
+  const { publicKey, kid } = getSigningKey();
+  return {
+    kid,
+    alg: "Ed25519",
+    jwk: { ...publicKey.export({ format: "jwk" }), kid },
+    pem: publicKey.export({ type: "spki", format: "pem" }),
+  };
+}
+
+// JSON with object keys sorted at every level: the bytes that get signed
+function canonicalJson(v) {
+  if (Array.isArray(v)) return `[${v.map(canonicalJson).join(",")}]`;
+  if (v && typeof v === "object") {
+    const keys = Object.keys(v)
+      .filter((k) => v[k] !== undefined)
+      .sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${canonicalJson(v[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(v);
+}
+
+function sign(doc) {
+  const { privateKey, kid } = getSigningKey();
+  const signature = crypto.sign(
+    null,
+    Buffer.from(canonicalJson(doc)),
+    privateKey,
+  );
+  return {
+    ...doc,
+    proof: {
+      type: "Ed25519Signature",
+      created: new Date().toISOString(),
+      verificationMethod: kid,
+      canonicalization: "json-sorted-keys",
+      signatureValue: signature.toString("base64url"),
+    },
+  };
+}
+
+/** true when `receipt` carries a valid signature by this server's key. */
+export function verifyReceipt(receipt) {
+  const { proof, ...doc } = receipt || {};
+  if (!proof?.signatureValue) return false;
+  const { publicKey, kid } = getSigningKey();
+  if (proof.verificationMethod !== kid) return false;
+  try {
+    return crypto.verify(
+      null,
+      Buffer.from(canonicalJson(doc)),
+      publicKey,
+      Buffer.from(proof.signatureValue, "base64url"),
+    );
+  } catch {
+    return false;
+  }
+}
+
+// ---------- receipts ----------
+/**
+ * Signed receipt for consent given on one entry.
+ * organisations: [{ id, name, webId }]; expiresAt: ISO or null (until withdrawn)
+ */
+export function buildConsentReceipt({
+  entryUrl,
+  subject,
+  organisations,
+  expiresAt = null,
+  replaces = null,
+}) {
+  const now = new Date().toISOString();
+  return sign({
+    "@context": CONTEXT,
+    "@id": `urn:uuid:${crypto.randomUUID()}`,
+    "@type": "dpv:Consent",
+    "dpv:hasConsentStatus": { "@id": RECEIPT_STATUSES.given },
+    "dpv:hasDataSubject": subject ? { "@id": subject } : null,
+    "dpv:hasPersonalData": { "@id": entryUrl },
+    "dpv:hasRecipient": organisations.map((o) => ({
+      "@id": o.webId,
+      "schema:identifier": o.id,
+      "schema:name": o.name,
+    })),
+    "dpv:hasPurpose": {
+      "@type": "dpv:Purpose",
+      "dct:description": CONSENT_PURPOSE,
+    },
+    "dpv:hasProcessing": PROCESSING.map((p) => ({ "@id": p })),
+    "dpv:hasProvisionTime": now,
+    "dpv:hasExpiryTime": expiresAt,
+    "dct:replaces": replaces ? { "@id": replaces } : null,
+    "dct:created": now,
+  });
+}
+
+/** Signed receipt ending an earlier one ("withdrawn" or "expired"). */
+export function buildClosingReceipt(receipt, status, { entryUrl } = {}) {
+  const now = new Date().toISOString();
+  return sign({
+    "@context": CONTEXT,
+    "@id": `urn:uuid:${crypto.randomUUID()}`,
+    "@type": "dpv:Consent",
+    "dpv:hasConsentStatus": { "@id": RECEIPT_STATUSES[status] },
+    "dpv:hasDataSubject": receipt["dpv:hasDataSubject"],
+    "dpv:hasPersonalData": entryUrl
+      ? { "@id": entryUrl }
+      : receipt["dpv:hasPersonalData"],
+    "dpv:hasRecipient": receipt["dpv:hasRecipient"],
+    "dpv:hasWithdrawalTime": status === "withdrawn" ? now : null,
+    "dpv:hasExpiryTime":
+      status === "expired" ? receipt["dpv:hasExpiryTime"] : null,
+    "dct:replaces": { "@id": receipt["@id"] },
+    "dct:created": now,
+  });
+}
@@ -0,0 +1,258 @@
+// services/consentServices.js
+// What follows when organisations gain or lose access to an entry: the signed
+// consent receipts kept by both sides, and on withdrawal, expiry or deletion
+// leaving the consent index and the NGO's analysis. Also the scheduled job
+// that ends consent given "for N days", going by the receipts' expiry.
+import { Session } from "@inrupt/solid-client-authn-node";
+import { getSolidCredentials } from "../auth.js";
+import {
+  normalizeUrl,
+  readConsentIndex,
+  removeFromConsentIndex,
+} from "../data/consentIndex.js";
+import { recordConsentEvent } from "../data/consentEvents.js";
+import { getConsentedEntries } from "../data/consentedEntries.js";
+import { invalidateJournalFields } from "../data/journalResources.js";
+import { getOrganisation, rowOrganisations } from "../data/organisations.js";
+import {
+  activeReceiptFor,
+  listActiveReceipts,
+  saveReceipt,
+} from "../data/receiptStore.js";
+import { forgetEntry as forgetBucketEntry } from "../data/bucketStore.js";
+import { forgetEntry as forgetMatchEntry } from "../data/matchStore.js";
+import { listIncidents, updateIncident } from "../data/incidentStore.js";
+import { refreshFields } from "./incidentServices.js";
+import {
+  basesFromTargetPod,
+  moveJournalEntry,
+  setOrganisationAccess,
+  writeReceiptToPod,
+} from "./journalServices.js";
+import {
+  buildClosingReceipt,
+  buildConsentReceipt,
+  verifyReceipt,
+} from "./consentReceipts.js";
+
+export const MAX_CONSENT_DAYS = 3650;
+
+const rowId = (r) => r.id || r.link || r.url;
+
+/** ISO expiry `days` from `from` (now), or null for consent without end. */
+export function consentExpiry(days, from = new Date()) {
+  if (days == null || days === "") return null;
+  return new Date(+from + Number(days) * 86400000).toISOString();
+}
+
+// The copy in the Pod is best-effort: the NGO's store is the one the expiry
+// job reads, and the refugee can fetch theirs from it too
+async function keepReceipt(receipt, entryUrl, reporter, sessionNode) {
+  let podUrl = null;
+  if (sessionNode) {
+    try {
+      podUrl = await writeReceiptToPod(entryUrl, receipt, sessionNode);
+    } catch (e) {
+      console.warn("⚠️ Consent receipt not written to Pod:", e?.message || e);
+    }
+  }
+  return saveReceipt(receipt, { reporter, podUrl });
+}
+
+/**
+ * Sign a receipt for consent given on `url` (organisation ids, ISO expiry or
+ * null), replacing the one the entry was shared under before, if any
+ * (`previousUrl`: where the entry was then). Kept in the NGO's store and next
+ * to the entry in the Pod.
+ */
+export async function issueConsentReceipt(
+  url,
+  { reporter, subject, organisations, expiresAt, previousUrl = url },
+  sessionNode,
+) {
+  const previous = await activeReceiptFor(previousUrl);
+  const receipt = buildConsentReceipt({
+    entryUrl: url,
+    subject,
+    organisations: organisations.map(
+      (id) => getOrganisation(id) || { id, name: id, webId: null },
+    ),
+    expiresAt,
+    replaces: previous?.id || null,
+  });
+  return keepReceipt(receipt, url, reporter, sessionNode);
+}
+
+/**
+ * Sign the receipt ending consent on `url` ("withdrawn" or "expired"). The Pod
+ * copy goes next to the entry where it is now (`entryUrl`). null when the entry
+ * was not shared under a receipt.
+ */
+export async function closeConsentReceipt(
+  url,
+  status,
+  { entryUrl = url, sessionNode = null } = {},
+) {
+  const active = await activeReceiptFor(url);
+  if (!active) return null;
+  const receipt = buildClosingReceipt(active.receipt, status, { entryUrl });
+  return keepReceipt(receipt, entryUrl, active.reporter, sessionNode);
+}
+
+/**
+ * When consent on an index row ends: the expiry in its signed receipt, or the
+ * row's own expires_iso for entries shared before receipts (or whose receipt
+ * no longer verifies, which is logged).
+ */
+function expiryOf(row, receipts) {
+  const record = receipts.get(normalizeUrl(row.url));
+  if (!record) return row.expires_iso || null;
+  if (!verifyReceipt(record.receipt)) {
+    console.warn("⚠️ Consent receipt does not verify:", record.id);
+    return row.expires_iso || null;
+  }
+  return record.receipt["dpv:hasExpiryTime"] || null;
+}
+
+/**
+ * Take an entry out of the consent index, remembered buckets, pin/split
+ * constraints, the possible-matches queue and incidents (whose consensus
+ * fields are recomputed without it). `keepInIndex` leaves its index row, for an
+ * entry still shared with other organisations.
+ */
+export async function releaseEntry(url, by, { keepInIndex = false } = {}) {
+  if (!keepInIndex) await removeFromConsentIndex(url);
+  invalidateJournalFields(url);
+  const { buckets, constraints } = await forgetBucketEntry(url);
+  const matches = await forgetMatchEntry(url);
+
+  const incidents = [];
+  let rows = null;
+  for (const incident of await listIncidents()) {
+    if (!incident.entryIds.includes(url)) continue;
+    const entryIds = incident.entryIds.filter((id) => id !== url);
+    rows ??= await getConsentedEntries();
+    const remaining = rows.filter((r) => entryIds.includes(rowId(r)));
+    await updateIncident(
+      incident.id,
+      (x) => ({
+        ...x,
+        entryIds,
+        fields: refreshFields(x.fields, remaining),
+      }),
+      by,
+    );
+    incidents.push(incident.id);
+  }
+  return { buckets, constraints, matches, incidents };
+}
+
+/**
+ * Withdraw the organisations' grants on the entry and move it back to the
+ * reporter's private container, acting with their stored credentials. Returns
+ * the new URL (null if it was private already) and the session used.
+ */
+async function revokeInPod(row) {
+  const creds = row.reporter_email
+    ? await getSolidCredentials(row.reporter_email)
+    : null;
+  if (!creds) throw new Error("No stored Solid credentials for the reporter");
+
+  const sessionNode = new Session();
+  await sessionNode.login({
+    clientId: creds.clientId,
+    clientSecret: creds.clientSecret,
+    oidcIssuer: creds.oidcIssuer,
+  });
+  await setOrganisationAccess(row.url, [], sessionNode);
+
+  const { privateBase } = basesFromTargetPod(creds.targetPod);
+  const privateContainer = new URL("journal/", privateBase).href;
+  if (normalizeUrl(row.url).startsWith(normalizeUrl(privateContainer) + "/"))
+    return { movedTo: null, sessionNode };
+  const { url } = await moveJournalEntry(
+    row.url,
+    privateContainer,
+    sessionNode,
+  );
+  return { movedTo: url, sessionNode };
+}
+
+/**
+ * End every consent whose expiry (see expiryOf) has passed, with a signed
+ * "expired" receipt on both sides. The entry leaves the index and
+ * the analysis even when the Pod cannot be reached; the event records whether
+ * the grants were actually removed so staff can follow up.
+ */
+export async function expireConsents(now = new Date()) {
+  const receipts = new Map(
+    (await listActiveReceipts()).map((r) => [
+      normalizeUrl(r.receipt["dpv:hasPersonalData"]?.["@id"]),
+      r,
+    ]),
+  );
+  const due = (await readConsentIndex())
+    .map((row) => ({ row, expires_iso: expiryOf(row, receipts) }))
+    .filter(({ expires_iso }) => expires_iso && new Date(expires_iso) <= now);
+  const events = [];
+  for (const { row, expires_iso } of due) {
+    let aclRemoved = false;
+    let movedTo = null;
+    let sessionNode = null;
+    let error = null;
+    try {
+      ({ movedTo, sessionNode } = await revokeInPod(row));
+      aclRemoved = true;
+    } catch (e) {
+      // already deleted from the Pod: nothing left to read
+      if (e?.statusCode === 404) aclRemoved = true;
+      else {
+        error = e?.message || String(e);
+        console.warn("⚠️ Consent expiry: Pod not updated:", row.url, error);
+      }
+    }
+    const closing = await closeConsentReceipt(row.url, "expired", {
+      entryUrl: movedTo || row.url,
+      sessionNode,
+    });
+    const released = await releaseEntry(row.url, "consent-expiry");
+    events.push(
+      await recordConsentEvent("expired", {
+        url: row.url,
+        reporter: row.reporter_email || null,
+        organisations: rowOrganisations(row),
+        expires_iso,
+        receipt: closing?.id || null,
+        aclRemoved,
+        movedTo,
+        error,
+        released,
+      }),
+    );
+  }
+  return events;
+}
+
+let running = false;
+
+/**
+ * Run expireConsents now and then every CONSENT_EXPIRY_INTERVAL_MINUTES (60).
+ * Each expiry is recorded in the consent event log. The timer does not keep
+ * the process alive on its own.
+ */
+export function startConsentExpiryJob() {
+  const minutes = Number(process.env.CONSENT_EXPIRY_INTERVAL_MINUTES) || 60;
+  const run = async () => {
+    if (running) return; // previous run still going
+    running = true;
+    try {
+      await expireConsents();
+    } catch (e) {
+      console.warn("⚠️ Consent expiry job failed:", e?.message || e);
+    } finally {
+      running = false;
+    }
+  };
+  run();
+  return setInterval(run, minutes * 60000).unref();
+}
@@ -0,0 +1,161 @@
+// services/incidentServices.js
+// Consensus values for an incident built from several journal entries. Every
+// field records which entries support its value (provenance).
+import { toSimilarityEntry, effectiveTolerances } from "./similarServices.js";
+import { haversineKm } from "../similarity.js";
+import { BASE_CURRENCY } from "../data/exchangeRates.js";
+import { canonicalTerm } from "../data/vocabulary.js";
+
+export const INCIDENT_FIELDS = [
+  "dateRange",
+  "location",
+  "headcount",
+  "ransom",
+  "eventTypes",
+];
+
+const num = (v) => (typeof v === "number" && isFinite(v) ? v : null);
+
+function median(sorted) {
+  const n = sorted.length;
+  return n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+}
+
+function dayOf(d) {
+  const t = d ? new Date(d) : null;
+  return t && !isNaN(+t) ? t.toISOString().slice(0, 10) : null;
+}
+
+const consensus = (value, supportedBy) => ({
+  value,
+  supportedBy,
+  source: "consensus",
+});
+
+function dateRangeOf(entries) {
+  const dated = entries
+    .map((e) => ({ id: e.id, day: dayOf(e.date) }))
+    .filter((x) => x.day);
+  if (!dated.length) return consensus(null, []);
+  const days = dated.map((x) => x.day).sort();
+  return consensus(
+    { earliest: days[0], latest: days[days.length - 1] },
+    dated.map((x) => x.id),
+  );
+}
+
+// Most reported place name; with coordinates, the centroid and every entry
+// within the location radius of it.
+function locationOf(entries) {
+  const counts = new Map();
+  for (const e of entries) {
+    const name = (e.location || "").trim();
+    if (name) counts.set(name, (counts.get(name) || 0) + 1);
+  }
+  const name =
+    [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+
+  const withGeo = entries.filter((e) => e.geo);
+  if (withGeo.length) {
+    const centroid = {
+      lat: +(
+        withGeo.reduce((a, e) => a + e.geo.lat, 0) / withGeo.length
+      ).toFixed(6),
+      lon: +(
+        withGeo.reduce((a, e) => a + e.geo.lon, 0) / withGeo.length
+      ).toFixed(6),
+    };
+    const { locationRadiusKm } = effectiveTolerances();
+    const near = withGeo.filter(
+      (e) => haversineKm(centroid, e.geo) <= locationRadiusKm,
+    );
+    return consensus(
+      { name, centroid },
+      near.map((e) => e.id),
+    );
+  }
+  return consensus(
+    name ? { name, centroid: null } : null,
+    entries.filter((e) => (e.location || "").trim() === name).map((e) => e.id),
+  );
+}
+
+function headcountOf(entries) {
+  const rows = entries
+    .map((e) => {
+      const c = e.counts || {};
+      const parts = [c.male, c.female, c.kids].map(num);
+      const total =
+        num(c.total) ??
+        (parts.some((p) => p != null)
+          ? parts.reduce((a, p) => a + (p || 0), 0)
+          : null);
+      return { id: e.id, total };
+    })
+    .filter((x) => x.total != null && x.total > 0);
+  if (!rows.length) return consensus(null, []);
+  const totals = rows.map((x) => x.total).sort((a, b) => a - b);
+  return consensus(
+    {
+      estimate: median(totals),
+      min: totals[0],
+      max: totals[totals.length - 1],
+    },
+    rows.map((x) => x.id),
+  );
+}
+
+function ransomOf(entries) {
+  const rows = entries
+    .map((e) => ({ id: e.id, amount: num(e.ransom) }))
+    .filter((x) => x.amount != null);
+  if (!rows.length) return consensus(null, []);
+  const amounts = rows.map((x) => x.amount).sort((a, b) => a - b);
+  return consensus(
+    {
+      min: amounts[0],
+      max: amounts[amounts.length - 1],
+      currency: BASE_CURRENCY,
+    },
+    rows.map((x) => x.id),
+  );
+}
+
+// Union of reported event types; perValue lists the entries behind each one
+function eventTypesOf(entries) {
+  const perValue = {};
+  for (const e of entries) {
+    for (const raw of e.eventTypes || []) {
+      const v = canonicalTerm("eventTypes", raw)?.toLowerCase();
+      if (!v) continue;
+      (perValue[v] ||= []).push(e.id);
+    }
+  }
+  const values = Object.keys(perValue).sort(
+    (a, b) => perValue[b].length - perValue[a].length || a.localeCompare(b),
+  );
+  const supportedBy = [...new Set(values.flatMap((v) => perValue[v]))];
+  return { ...consensus(values, supportedBy), perValue };
+}
+
+/** Consensus fields for the given consented rows (see getConsentedEntries). */
+export function buildIncidentFields(rows) {
+  const entries = rows.map(toSimilarityEntry);
+  return {
+    dateRange: dateRangeOf(entries),
+    location: locationOf(entries),
+    headcount: headcountOf(entries),
+    ransom: ransomOf(entries),
+    eventTypes: eventTypesOf(entries),
+  };
+}
+
+// Recompute consensus fields; values an analyst set by hand are kept
+export function refreshFields(current, rows) {
+  const fresh = buildIncidentFields(rows);
+  const out = {};
+  for (const key of INCIDENT_FIELDS) {
+    out[key] = current?.[key]?.source === "analyst" ? current[key] : fresh[key];
+  }
+  return out;
+}
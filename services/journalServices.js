@@ -0,0 +1,300 @@
+// services/journalServices.js
+// Journal resources in a refugee's Pod: the RDF written for an entry, the
+// public / private containers, moving entries between them, the per-
+// organisation read grants and the consent receipts kept next to entries.
+// Used by the journal routes in server.js and by jobs that act on a refugee's
+// behalf (consent expiry).
+import {
+  getSolidDataset,
+  createSolidDataset,
+  setThing,
+  saveSolidDatasetAt,
+  buildThing,
+  createThing,
+  createContainerAt,
+  getSolidDatasetWithAcl,
+  hasResourceAcl,
+  hasAccessibleAcl,
+  getResourceAcl,
+  getAgentAccess,
+  getAgentAccessAll,
+  getAgentResourceAccessAll,
+  getPublicAccess,
+  createAcl,
+  setAgentResourceAccess,
+  saveAclFor,
+} from "@inrupt/solid-client";
+import { listOrganisations } from "../data/organisations.js";
+import {
+  invalidateJournalFields,
+  parseJournalForm,
+} from "../data/journalResources.js";
+
+const SCHEMA = "https://schema.org/";
+const WGS84 = "http://www.w3.org/2003/01/geo/wgs84_pos#";
+const DCT = "http://purl.org/dc/terms/";
+
+/** Ensure a Solid container exists (ignore error if it already exists). */
+export async function ensureContainerAt(url, sessionNode) {
+  try {
+    await createContainerAt(url.endsWith("/") ? url : url + "/", {
+      fetch: sessionNode.fetch,
+    });
+  } catch (_) {
+    /* likely 409: already exists */
+  }
+}
+
+/**
+ * Build an RDF dataset for the journal entry (Event + linked Place).
+ * `created` defaults to now; `modified` is only written for edits.
+ */
+export function buildJournalDataset(
+  entryIri,
+  placeIri,
+  payload,
+  { created = new Date().toISOString(), modified = null } = {},
+) {
+  const {
+    date,
+    people = {},
+    ransom,
+    ransomCurrency,
+    eventTypes = [],
+    transport,
+    conditions = [],
+    location = {},
+  } = payload;
+
+  // A known amount becomes a schema:MonetaryAmount (value + ISO 4217 currency);
+  // "unknown" / empty stay a plain literal as before
+  const amount = ransom === "" || ransom == null ? NaN : Number(ransom);
+  const ransomIri = Number.isFinite(amount) ? entryIri + "#ransom" : null;
+
+  // ----- Event -----
+  let ev = buildThing(createThing({ url: entryIri }))
+    .addUrl("http://www.w3.org/1999/02/22-rdf-syntax-ns#type", SCHEMA + "Event")
+    .addStringNoLocale(SCHEMA + "name", "Refugee Journal Entry")
+    .addStringNoLocale(DCT + "created", created)
+    .addStringNoLocale(SCHEMA + "startDate", date || "")
+    .addInteger(SCHEMA + "numberOfItems", people.total ?? 0)
+    .addInteger(SCHEMA + "maleCount", people.males ?? 0)
+    .addInteger(SCHEMA + "femaleCount", people.females ?? 0)
+    .addInteger(SCHEMA + "childrenCount", people.kids ?? 0)
+    .addStringNoLocale(SCHEMA + "vehicle", transport || "")
+    .addUrl(SCHEMA + "location", placeIri);
+  if (modified) ev = ev.addStringNoLocale(DCT + "modified", modified);
+  ev = ransomIri
+    ? ev.addUrl(SCHEMA + "monetaryAmount", ransomIri)
+    : ev.addStringNoLocale(SCHEMA + "monetaryAmount", String(ransom ?? ""));
+
+  (eventTypes || []).forEach((v) => {
+    ev = ev.addStringNoLocale(SCHEMA + "eventType", String(v));
+  });
+  (conditions || []).forEach((v) => {
+    ev = ev.addStringNoLocale(SCHEMA + "healthCondition", String(v));
+  });
+
+  const eventThing = ev.build();
+
+  // ----- Place -----
+  const placeThing = buildThing(createThing({ url: placeIri }))
+    .addUrl("http://www.w3.org/1999/02/22-rdf-syntax-ns#type", SCHEMA + "Place")
+    .addStringNoLocale(
+      SCHEMA + "name",
+      location.display_name || location.text || "",
+    )
+    .addStringNoLocale(
+      "http://www.w3.org/2006/vcard/ns#country-name",
+      location.country_iso2 || "",
+    )
+    .addDecimal(WGS84 + "lat", location.lat ? Number(location.lat) : 0)
+    .addDecimal(WGS84 + "long", location.lon ? Number(location.lon) : 0)
+    .addStringNoLocale(
+      SCHEMA + "identifier",
+      (location.osm_type ? `${location.osm_type}:` : "") +
+        (location.osm_id || ""),
+    )
+    .build();
+
+  let ds = createSolidDataset();
+  ds = setThing(ds, eventThing);
+  ds = setThing(ds, placeThing);
+  if (ransomIri) {
+    const ransomThing = buildThing(createThing({ url: ransomIri }))
+      .addUrl(
+        "http://www.w3.org/1999/02/22-rdf-syntax-ns#type",
+        SCHEMA + "MonetaryAmount",
+      )
+      .addDecimal(SCHEMA + "value", amount)
+      .addStringNoLocale(
+        SCHEMA + "currency",
+        String(ransomCurrency || "USD").toUpperCase(),
+      )
+      .build();
+    ds = setThing(ds, ransomThing);
+  }
+  return ds;
+}
+
+/**
+ * Write the organisations' grants into the resource's WAC ACL: read for each
+ * of `orgIds`, nothing for every other registered organisation or any other
+ * agent the ACL lets read (e.g. an organisation since removed from the
+ * registry). Agents with control — the owner — keep their access.
+ */
+export async function setOrganisationAccess(resourceUrl, orgIds, sessionNode) {
+  const dsWithAcl = await getSolidDatasetWithAcl(resourceUrl, {
+    fetch: sessionNode.fetch,
+  });
+  let resourceAcl = hasResourceAcl(dsWithAcl)
+    ? getResourceAcl(dsWithAcl)
+    : orgIds.length && hasAccessibleAcl(dsWithAcl)
+      ? createAcl(dsWithAcl)
+      : null;
+  if (!resourceAcl) {
+    // nothing to revoke on the resource itself
+    if (orgIds.length)
+      console.warn("⚠️ Could not set ACL for resource (no accessible ACL).");
+    return;
+  }
+  const organisations = listOrganisations();
+  const granted = new Set(
+    organisations.filter((o) => orgIds.includes(o.id)).map((o) => o.webId),
+  );
+  const readers = Object.entries(getAgentResourceAccessAll(resourceAcl))
+    .filter(([, access]) => access.read && !access.control)
+    .map(([webId]) => webId);
+  const agents = new Set([...organisations.map((o) => o.webId), ...readers]);
+  for (const webId of agents) {
+    resourceAcl = setAgentResourceAccess(resourceAcl, webId, {
+      read: granted.has(webId),
+      append: false,
+      write: false,
+      control: false,
+    });
+  }
+  await saveAclFor(dsWithAcl, resourceAcl);
+}
+
+/**
+ * Effective read access on a resource (its own ACL, else the inherited one):
+ * which organisations can read it, which other agents (not the owner, not a
+ * registered organisation) can, and whether anyone can. null where the ACL
+ * cannot be read, so callers can say "unknown".
+ */
+export async function readAccessOf(resourceUrl, sessionNode) {
+  try {
+    const dsWithAcl = await getSolidDatasetWithAcl(resourceUrl, {
+      fetch: sessionNode.fetch,
+    });
+    const organisations = listOrganisations();
+    const known = new Set(organisations.map((o) => o.webId));
+    return {
+      readableBy: organisations
+        .filter((o) => getAgentAccess(dsWithAcl, o.webId)?.read)
+        .map((o) => o.id),
+      otherReaders: Object.entries(getAgentAccessAll(dsWithAcl) ?? {})
+        .filter(
+          ([webId, access]) =>
+            access.read && !access.control && !known.has(webId),
+        )
+        .map(([webId]) => webId),
+      publiclyReadable: getPublicAccess(dsWithAcl)?.read ?? null,
+    };
+  } catch (e) {
+    console.warn("⚠️ Could not read ACL:", resourceUrl, e?.message || e);
+    return { readableBy: null, otherReaders: null, publiclyReadable: null };
+  }
+}
+
+/**
+ * Re-create a journal entry under another container (same file name, same
+ * dct:created) and delete the original. Returns the new resource URL.
+ */
+export async function moveJournalEntry(fromUrl, toContainer, sessionNode) {
+  const existing = await getSolidDataset(fromUrl, {
+    fetch: sessionNode.fetch,
+  });
+  const form = parseJournalForm(existing, fromUrl);
+  if (!form) throw new Error("Not a journal entry: " + fromUrl);
+
+  await ensureContainerAt(toContainer, sessionNode);
+  const toUrl = new URL(fromUrl.split("/").pop(), toContainer).href;
+  const entryIri = toUrl.replace(/\.ttl$/i, "");
+  const dataset = buildJournalDataset(entryIri, entryIri + "#place", form, {
+    created: form.created || new Date().toISOString(),
+    modified: form.modified,
+  });
+  await saveSolidDatasetAt(toUrl, dataset, { fetch: sessionNode.fetch });
+  await moveReceipts(fromUrl, toUrl, sessionNode);
+
+  const r = await sessionNode.fetch(fromUrl, { method: "DELETE" });
+  if (!r.ok) {
+    console.warn("⚠️ Moved entry but could not delete the original:", r.status);
+  }
+  invalidateJournalFields(fromUrl);
+  return { url: toUrl, form };
+}
+
+/**
+ * Consent receipts for an entry live next to it, as a JSON array of signed
+ * JSON-LD receipts. Stored as plain JSON so the signed bytes survive as-is.
+ */
+export function receiptUrlFor(entryUrl) {
+  return entryUrl.replace(/\.ttl$/i, "") + ".receipts.json";
+}
+
+/** The receipts next to an entry, oldest first ([] if there are none). */
+export async function readReceiptsFromPod(entryUrl, sessionNode) {
+  const r = await sessionNode.fetch(receiptUrlFor(entryUrl), {
+    headers: { Accept: "application/json" },
+  });
+  if (r.status === 404) return [];
+  if (!r.ok) throw new Error(`Reading consent receipts failed: ${r.status}`);
+  const list = await r.json().catch(() => null);
+  return Array.isArray(list) ? list : [];
+}
+
+async function writeReceipts(entryUrl, list, sessionNode) {
+  const url = receiptUrlFor(entryUrl);
+  const r = await sessionNode.fetch(url, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(list, null, 2),
+  });
+  if (!r.ok) throw new Error(`Writing consent receipts failed: ${r.status}`);
+  return url;
+}
+
+/** Add a signed receipt next to the entry; returns the receipts' URL. */
+export async function writeReceiptToPod(entryUrl, receipt, sessionNode) {
+  const list = await readReceiptsFromPod(entryUrl, sessionNode);
+  return writeReceipts(entryUrl, [...list, receipt], sessionNode);
+}
+
+// receipts follow their entry when it changes container
+async function moveReceipts(fromUrl, toUrl, sessionNode) {
+  try {
+    const list = await readReceiptsFromPod(fromUrl, sessionNode);
+    if (!list.length) return;
+    await writeReceipts(toUrl, list, sessionNode);
+    await sessionNode.fetch(receiptUrlFor(fromUrl), { method: "DELETE" });
+  } catch (e) {
+    console.warn("⚠️ Could not move consent receipts:", e?.message || e);
+  }
+}
+
+/** Decide public vs private bases from targetPod */
+export function basesFromTargetPod(targetPod) {
+  const base = targetPod.endsWith("/") ? targetPod : targetPod + "/";
+  const endsWithPublic = /\/public\/?$/i.test(base);
+  if (endsWithPublic) {
+    const privateBase = base.replace(/public\/?$/i, "");
+    const publicBase = base;
+    return { privateBase, publicBase };
+  }
+  const privateBase = base;
+  const publicBase = new URL("public/", privateBase).href;
+  return { privateBase, publicBase };
+}
@@ -0,0 +1,110 @@
+// services/matchServices.js
+// Incremental matching: score one newly consented entry against the rest of the
+// consent index and the open incidents, and queue the likely matches for review.
+import { getConsentedEntries } from "../data/consentedEntries.js";
+import { listIncidents } from "../data/incidentStore.js";
+import { enqueueMatches } from "../data/matchStore.js";
+import { explainEntries } from "./similarServices.js";
+import { toBaseAmount } from "../data/exchangeRates.js";
+
+// Read when matching runs (dotenv is loaded after module imports)
+const matchThreshold = () => Number(process.env.MATCH_THRESHOLD) || 0.7;
+
+// Incidents only carry these consensus aspects; the rest must not count against them
+const INCIDENT_WEIGHTS = { transport: 0, conditions: 0 };
+
+const rowId = (r) => r.id || r.link || r.url;
+
+// null when the incident has no range: the entry's own value would otherwise
+// be compared with itself and score a perfect match
+const clamp = (v, lo, hi) =>
+  lo == null ? null : v == null ? lo : v < lo ? lo : v > hi ? hi : v;
+
+// Open incident -> consent-row shape, using the values closest to the entry
+// within the incident's date and ransom ranges.
+function incidentRow(incident, entry) {
+  const f = incident.fields || {};
+  const dates = f.dateRange?.value;
+  const loc = f.location?.value;
+  const ransom = f.ransom?.value;
+  const day = entry.date ? String(entry.date).slice(0, 10) : null;
+  return {
+    id: `incident:${incident.id}`,
+    date: clamp(day, dates?.earliest, dates?.latest),
+    location: loc?.name ?? null,
+    lat: loc?.centroid?.lat ?? null,
+    lon: loc?.centroid?.lon ?? null,
+    total: f.headcount?.value?.estimate ?? null,
+    ransom: clamp(
+      toBaseAmount(entry.ransom, entry.ransomCurrency, entry.date),
+      ransom?.min,
+      ransom?.max,
+    ),
+    ransomCurrency: ransom?.currency ?? null,
+    eventTypes: f.eventTypes?.value || [],
+  };
+}
+
+/**
+ * Score an entry against an incident's consensus fields. Aspects the incident
+ * has no value for (no date or ransom range) are left out of the score.
+ */
+export function scoreAgainstIncident(entry, incident, opts = {}) {
+  const f = incident.fields || {};
+  const missing = {};
+  if (f.dateRange?.value?.earliest == null) missing.date = 0;
+  if (f.ransom?.value?.min == null) missing.ransom = 0;
+  return explainEntries(entry, incidentRow(incident, entry), {
+    ...opts,
+    weights: { ...opts.weights, ...INCIDENT_WEIGHTS, ...missing },
+  });
+}
+
+/**
+ * Compare the consented entry at `url` with every other consented entry and
+ * every open incident; queue those scoring at or above MATCH_THRESHOLD.
+ * Returns the newly queued matches.
+ */
+export async function findPossibleMatches(url, opts = {}) {
+  const threshold = opts.threshold ?? matchThreshold();
+  const rows = await getConsentedEntries();
+  const entry = rows.find((r) => rowId(r) === url);
+  if (!entry) return [];
+
+  const found = [];
+  for (const other of rows) {
+    if (rowId(other) === url) continue;
+    const r = explainEntries(entry, other, { ...opts, threshold });
+    if (!r.matched) continue;
+    found.push({
+      entryId: url,
+      candidate: {
+        type: "entry",
+        id: rowId(other),
+        // same person filing again rather than independent corroboration
+        sameReporter:
+          !!entry.personId &&
+          String(entry.personId).toLowerCase() ===
+            String(other.personId || "").toLowerCase(),
+      },
+      score: r.score,
+      aspects: r.aspects,
+    });
+  }
+
+  const incidents = (await listIncidents()).filter((x) => x.status === "open");
+  for (const incident of incidents) {
+    if (incident.entryIds.includes(url)) continue;
+    const r = scoreAgainstIncident(entry, incident, { ...opts, threshold });
+    if (!r.matched) continue;
+    found.push({
+      entryId: url,
+      candidate: { type: "incident", id: incident.id, title: incident.title },
+      score: r.score,
+      aspects: r.aspects,
+    });
+  }
+
+  found.sort((a, b) => b.score - a.score);
+  return enqueueMatches(found);
+}
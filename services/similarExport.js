@@ -0,0 +1,222 @@
+// services/similarExport.js
+// Renders a similarity run ({ buckets, entryById }) for partners outside the
+// browser: CSV (one row per entry), GeoJSON (points grouped by bucket) and
+// JSON-LD using the schema.org terms buildJournalDataset writes to the Pod.
+
+import { BASE_CURRENCY } from "../data/exchangeRates.js";
+
+const SCHEMA = "https://schema.org/";
+const WGS84 = "http://www.w3.org/2003/01/geo/wgs84_pos#";
+
+// entry resource URL (.ttl) -> the Event IRI inside it
+const eventIri = (id) => String(id).replace(/\.ttl$/i, "");
+
+function* bucketEntries({ buckets = [], entryById = {} }) {
+  for (const b of buckets) {
+    for (const id of b.entryIds) {
+      yield { bucket: b, entry: entryById[id] || { id } };
+    }
+  }
+}
+
+// ---------- CSV ----------
+// Partners outside the NGO get no reporter column: bucket_corroboration says
+// how many people reported it without saying who.
+const CSV_COLUMNS = [
+  "bucket_id",
+  "bucket_size",
+  "bucket_corroboration",
+  "bucket_status",
+  "entry_id",
+  "date",
+  "location",
+  "lat",
+  "lon",
+  "male",
+  "female",
+  "kids",
+  "total",
+  `ransom_${BASE_CURRENCY.toLowerCase()}`,
+  "ransom_reported",
+  "ransom_currency",
+  "event_types",
+  "transport",
+  "conditions",
+];
+
+function csvCell(v) {
+  if (v == null) return "";
+  let s = Array.isArray(v) ? v.join("; ") : String(v);
+  // refugee text starting with = + - @ would run as a spreadsheet formula
+  if (typeof v !== "number" && /^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(data) {
+  const lines = [CSV_COLUMNS.join(",")];
+  for (const { bucket, entry: e } of bucketEntries(data)) {
+    const c = e.counts || {};
+    lines.push(
+      [
+        bucket.bucketId,
+        bucket.size,
+        bucket.corroboration,
+        bucket.annotation?.status,
+        e.id,
+        e.date,
+        e.location,
+        e.geo?.lat,
+        e.geo?.lon,
+        c.male,
+        c.female,
+        c.kids,
+        c.total,
+        e.ransom,
+        e.ransomReported?.amount,
+        e.ransomReported?.currency,
+        e.eventTypes,
+        e.transport,
+        e.conditions,
+      ]
+        .map(csvCell)
+        .join(","),
+    );
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// ---------- GeoJSON ----------
+export function toGeoJson(data) {
+  const features = [];
+  let withoutCoordinates = 0;
+  for (const { bucket, entry: e } of bucketEntries(data)) {
+    if (!e.geo) {
+      withoutCoordinates++;
+      continue;
+    }
+    features.push({
+      type: "Feature",
+      id: e.id,
+      geometry: { type: "Point", coordinates: [e.geo.lon, e.geo.lat] },
+      properties: {
+        bucketId: bucket.bucketId,
+        bucketSize: bucket.size,
+        bucketCorroboration: bucket.corroboration,
+        bucketStatus: bucket.annotation?.status || null,
+        date: e.date,
+        location: e.location,
+        eventTypes: e.eventTypes,
+        transport: e.transport,
+        conditions: e.conditions,
+        counts: e.counts,
+        ransom: e.ransom,
+        ransomReported: e.ransomReported || null,
+      },
+    });
+  }
+  return JSON.stringify({
+    type: "FeatureCollection",
+    features,
+    // foreign members (RFC 7946 §6.1)
+    buckets: (data.buckets || []).map((b) => ({
+      bucketId: b.bucketId,
+      size: b.size,
+      corroboration: b.corroboration,
+      entryIds: b.entryIds,
+      similarAspects: b.summary?.similarAspects || {},
+      locationArea: b.summary?.locationArea || null,
+    })),
+    withoutCoordinates,
+  });
+}
+
+// ---------- JSON-LD ----------
+function eventNode(e) {
+  const iri = eventIri(e.id);
+  const c = e.counts || {};
+  const node = {
+    "@id": iri,
+    "@type": "schema:Event",
+    "schema:url": { "@id": e.id },
+    "schema:startDate": e.date,
+    "schema:numberOfItems": c.total,
+    "schema:maleCount": c.male,
+    "schema:femaleCount": c.female,
+    "schema:childrenCount": c.kids,
+    "schema:monetaryAmount": e.ransomReported
+      ? {
+          "@type": "schema:MonetaryAmount",
+          "schema:value": e.ransomReported.amount,
+          "schema:currency": e.ransomReported.currency,
+        }
+      : null,
+    "schema:vehicle": e.transport,
+    "schema:eventType": e.eventTypes,
+    "schema:healthCondition": e.conditions,
+    "schema:location": {
+      "@id": iri + "#place",
+      "@type": "schema:Place",
+      "schema:name": e.location,
+      "schema:identifier": e.placeId,
+      "wgs84:lat": e.geo?.lat,
+      "wgs84:long": e.geo?.lon,
+    },
+  };
+  // drop empty values so consumers don't see nulls as data
+  const prune = (o) => {
+    for (const [k, v] of Object.entries(o)) {
+      if (v == null || (Array.isArray(v) && !v.length)) delete o[k];
+      else if (typeof v === "object" && !Array.isArray(v)) prune(v);
+    }
+    return o;
+  };
+  return prune(node);
+}
+
+export function toJsonLd(data) {
+  const graph = [];
+  for (const b of data.buckets || []) {
+    graph.push({
+      "@id": `urn:similarity-bucket:${b.bucketId}`,
+      "@type": "schema:Collection",
+      "schema:identifier": b.bucketId,
+      "schema:size": b.size,
+      "schema:description": Object.entries(b.summary?.similarAspects || {})
+        .map(([k, a]) => `${k}: ${a.display}`)
+        .join("; "),
+      "schema:hasPart": b.entryIds.map((id) => ({ "@id": eventIri(id) })),
+    });
+  }
+  const seen = new Set();
+  for (const { entry } of bucketEntries(data)) {
+    if (seen.has(entry.id)) continue;
+    seen.add(entry.id);
+    graph.push(eventNode(entry));
+  }
+  return JSON.stringify(
+    {
+      "@context": { schema: SCHEMA, wgs84: WGS84 },
+      "@graph": graph,
+    },
+    null,
+    2,
+  );
+}
+
+export const EXPORTS = {
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    extension: "csv",
+    render: toCsv,
+  },
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    render: toGeoJson,
+  },
+  jsonld: {
+    contentType: "application/ld+json",
+    extension: "jsonld",
+    render: toJsonLd,
+  },
+};
@@ -1,13 +1,30 @@
 // services/similarServices.js
-import { clusterEntries } from "../similarity.js";
+import {
+  clusterEntries,
+  explainPair,
+  MODES,
+  STRATEGIES,
+  REPORTER_MODES,
+  resolveTolerances,
+} from "../similarity.js";
+import { getRuleTolerances } from "../data/similarityRules.js";
+import { toBaseAmount } from "../data/exchangeRates.js";
+import { getVocabularyLookup } from "../data/vocabulary.js";
 
-export function groupSimilarEntries(rawEntries, opts = {}) {
-  const entries = (rawEntries || []).map((r) => ({
+// Consented row (data/consentedEntries.js) -> similarity engine entry
+export function toSimilarityEntry(r) {
+  return {
     id: r.id || r.link || r.url,
     date: r.date,
     location: r.location,
+    geo:
+      r.lat != null && r.lon != null
+        ? { lat: Number(r.lat), lon: Number(r.lon) }
+        : null,
+    placeId: r.placeId || null,
     counts: { male: r.male, female: r.female, kids: r.kids, total: r.total },
-    ransom: r.ransom,
+    // compared in the base currency of the admin-maintained rate table
+    ransom: toBaseAmount(r.ransom, r.ransomCurrency, r.date),
     eventTypes: Array.isArray(r.eventTypes)
       ? r.eventTypes
       : r.eventTypes
@@ -19,10 +36,13 @@ export function groupSimilarEntries(rawEntries, opts = {}) {
       : r.conditions
         ? [r.conditions]
         : [],
-  }));
+    reporter: r.personId ? String(r.personId).toLowerCase() : null,
+  };
+}
 
+function resolveWeights(opts) {
   // Equal weights by default across 7 aspects
-  const weights = {
+  return {
     date: 1,
     location: 1,
     counts: 1,
@@ -32,7 +52,84 @@ export function groupSimilarEntries(rawEntries, opts = {}) {
     conditions: 1,
     ...(opts?.weights || {}),
   };
+}
 
+/**
+ * Tolerances for a run: the rule configuration (data/similarity-rules.json),
+ * then per-run overrides (query / preset). A run-wide setMeasure replaces the
+ * per-aspect set comparators unless those are overridden too.
+ */
+export function effectiveTolerances(opts) {
+  const rules = getRuleTolerances();
+  const overrides = opts?.tolerances || {};
+  if (overrides.setMeasure) {
+    delete rules.eventTypesMeasure;
+    delete rules.conditionsMeasure;
+  }
+  return resolveTolerances({ ...rules, ...overrides });
+}
+
+function engineOptions(opts) {
+  return {
+    // "graded" (default): continuous per-aspect scores; "strict": the old 0/1 rules
+    mode: MODES.includes(opts?.mode) ? opts.mode : "graded",
+    tolerances: effectiveTolerances(opts),
+    // synonyms / translations compare as their canonical code
+    vocabulary: getVocabularyLookup(),
+    blocking: opts?.blocking === "none" ? "none" : "auto",
+    strategy: STRATEGIES.includes(opts?.strategy) ? opts.strategy : "single",
+    minNeighbors: opts?.minNeighbors,
+    mustLink: opts?.mustLink,
+    cannotLink: opts?.cannotLink,
+    reporterMode: REPORTER_MODES.includes(opts?.reporterMode)
+      ? opts.reporterMode
+      : "merge",
+  };
+}
+
+/**
+ * Whether a run clusters by the configured rules as they stand: default
+ * threshold, mode, strategy and reporter handling, equal weights (only their
+ * proportions matter) and tolerances no different from the rules.
+ */
+export function usesDefaultOptions(opts = {}) {
+  const engine = engineOptions(opts);
+  const weights = Object.values(resolveWeights(opts));
+  const tolerances = effectiveTolerances(opts);
+  const rules = effectiveTolerances();
+  return (
+    (opts.threshold ?? 0.7) === 0.7 &&
+    engine.mode === "graded" &&
+    engine.strategy === "single" &&
+    engine.reporterMode === "merge" &&
+    opts.minNeighbors == null &&
+    weights.every((w) => w > 0 && Math.abs(w - weights[0]) < 1e-3) &&
+    Object.keys(tolerances).every(
+      (k) => JSON.stringify(tolerances[k]) === JSON.stringify(rules[k]),
+    )
+  );
+}
+
+export function groupSimilarEntries(rawEntries, opts = {}) {
+  const entries = (rawEntries || []).map(toSimilarityEntry);
+  const weights = resolveWeights(opts);
   const threshold = opts?.threshold ?? 0.7; // e.g., need ≥70% of aspects to match
-  return clusterEntries(entries, weights, threshold);
+  return clusterEntries(entries, weights, threshold, engineOptions(opts));
+}
+
+// Per-aspect breakdown for any two rows, whether or not they pass the threshold
+export function explainEntries(rawA, rawB, opts = {}) {
+  const threshold = opts?.threshold ?? 0.7;
+  const { score, aspects } = explainPair(
+    toSimilarityEntry(rawA),
+    toSimilarityEntry(rawB),
+    resolveWeights(opts),
+    engineOptions(opts),
+  );
+  return {
+    score: +score.toFixed(3),
+    threshold,
+    matched: score >= threshold,
+    aspects,
+  };
 }
@@ -1,4 +1,6 @@
 // similarity.js — 7-aspect rule-based similarity & clustering
+// Imported by the API (routes/similar.js) and served as-is to the browser
+// (/js/shared/similarity.js), so it must stay free of Node APIs.
 
 // ---- helpers ----
 function daysBetween(a, b) {
@@ -11,6 +13,64 @@ function iso(d) {
 function safeNum(n) {
   return typeof n === "number" && isFinite(n) ? n : null;
 }
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+function hasGeo(g) {
+  return g && safeNum(g.lat) != null && safeNum(g.lon) != null;
+}
+// great-circle distance in km between {lat, lon} points
+export function haversineKm(p, q) {
+  const R = 6371;
+  const dLat = toRad(q.lat - p.lat);
+  const dLon = toRad(q.lon - p.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(p.lat)) * Math.cos(toRad(q.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+function valueSet(arr) {
+  return new Set(
+    (Array.isArray(arr) ? arr : [])
+      .map((x) => String(x).trim().toLowerCase())
+      .filter(Boolean),
+  );
+}
+// |A∩B| / |A∪B| ("jaccard") or |A∩B| / min(|A|,|B|) ("overlap")
+function setOverlap(a, b, measure) {
+  const A = valueSet(a),
+    B = valueSet(b);
+  if (!A.size || !B.size) return 0; // nothing ticked => not similar
+  let inter = 0;
+  for (const x of A) if (B.has(x)) inter++;
+  if (measure === "overlap") return inter / Math.min(A.size, B.size);
+  return inter / (A.size + B.size - inter);
+}
+
+// ---- controlled vocabulary ----
+// Comparison key of a categorical value: lowercased, accents dropped,
+// separators collapsed ("Rubber-boat" -> "rubber boat", "no_food" -> "no food")
+export function termKey(v) {
+  return String(v ?? "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .replace(/[\s_-]+/g, " ")
+    .trim();
+}
+// opts.vocabulary: { <aspect>: { <termKey>: <canonical code> } }, built by
+// data/vocabulary.js; values it doesn't know compare by their key
+function canonical(aspect, v, opts) {
+  const k = termKey(v);
+  return opts?.vocabulary?.[aspect]?.[k] ?? k;
+}
+function canonicalList(aspect, arr, opts) {
+  const out = (Array.isArray(arr) ? arr : [])
+    .map((v) => canonical(aspect, v, opts))
+    .filter(Boolean);
+  return [...new Set(out)];
+}
+
 function arrEqual(a, b) {
   const A = Array.isArray(a) ? a.slice().sort() : [];
   const B = Array.isArray(b) ? b.slice().sort() : [];
@@ -20,20 +80,78 @@ function arrEqual(a, b) {
   return true;
 }
 
+// Tolerances of the original 0/1 rules. In "strict" mode an aspect is 1 inside
+// its tolerance and 0 outside; in "graded" mode it is 1 inside and decays
+// continuously outside, so graded >= strict for every pair. The one exception is
+// sets: strict keeps the original identical-lists rule, under which two empty
+// lists match, while graded overlap scores an empty list 0.
+export const DEFAULT_TOLERANCES = {
+  dateDays: 1, // same or ±1 day
+  dateScaleDays: 7, // graded: score ~0.37 at tolerance + 7 days
+  countsPart: 1, // ±1 per male/female/kids
+  countsTotal: 3, // ±3 on the total
+  ransomPct: 0.1, // ±10%
+  locationRadiusKm: 1, // pins within 1 km are the same place
+  locationScaleKm: 10, // graded: score ~0.37 at radius + 10 km
+  setMeasure: "jaccard", // event types / conditions: "jaccard" | "overlap" | "exact"
+  // per-aspect override of setMeasure; "exact" requires identical sets
+  eventTypesMeasure: null,
+  conditionsMeasure: null,
+};
+
+export const MODES = ["graded", "strict"];
+
+function tol(opts) {
+  return resolveTolerances(opts?.tolerances);
+}
+
+/** Tolerances with every key filled in from DEFAULT_TOLERANCES. */
+export function resolveTolerances(tolerances) {
+  return { ...DEFAULT_TOLERANCES, ...(tolerances || {}) };
+}
+function isStrict(opts) {
+  return opts?.mode === "strict";
+}
+
+// 1 inside `limit`, then linear decay to 0 at `zeroAt` (graded) or a hard 0 (strict)
+function linearBeyond(x, limit, zeroAt, strict) {
+  if (x <= limit) return 1;
+  if (strict || zeroAt <= limit) return 0;
+  return Math.max(0, 1 - (x - limit) / (zeroAt - limit));
+}
+
 // ---- your 7 rules (pairwise) ----
-function simDateStrict(a, b) {
+function simDate(a, b, opts) {
   const da = iso(a),
     db = iso(b);
   if (!da || !db) return 0; // missing => not similar
-  return daysBetween(da, db) <= 1 ? 1 : 0; // same or ±1 day
+  const t = tol(opts);
+  const d = daysBetween(da, db);
+  if (d <= t.dateDays) return 1;
+  if (isStrict(opts)) return 0;
+  return Math.exp(-(d - t.dateDays) / t.dateScaleDays);
 }
-function simLocationExact(a, b) {
-  const s1 = (a || "").trim().toLowerCase();
-  const s2 = (b || "").trim().toLowerCase();
+// Location: haversine distance when both have coordinates, otherwise the OSM
+// identifier, otherwise the lowercased display name.
+function simLocation(a, b, opts) {
+  if (hasGeo(a.geo) && hasGeo(b.geo)) {
+    const t = tol(opts);
+    const d = haversineKm(a.geo, b.geo);
+    if (d <= t.locationRadiusKm) return 1;
+    if (isStrict(opts)) return 0;
+    return Math.exp(-(d - t.locationRadiusKm) / t.locationScaleKm);
+  }
+  const id1 = (a.placeId || "").trim();
+  const id2 = (b.placeId || "").trim();
+  if (id1 && id2) return id1 === id2 ? 1 : 0;
+  const s1 = (a.location || "").trim().toLowerCase();
+  const s2 = (b.location || "").trim().toLowerCase();
   if (!s1 || !s2) return 0;
   return s1 === s2 ? 1 : 0;
 }
-function simCountsTolerant(ca, cb) {
+function simCounts(ca, cb, opts) {
+  const t = tol(opts);
+  const strict = isStrict(opts);
   const m1 = safeNum(ca?.male),
     m2 = safeNum(cb?.male);
   const f1 = safeNum(ca?.female),
@@ -42,61 +160,201 @@ function simCountsTolerant(ca, cb) {
     k2 = safeNum(cb?.kids);
   const t1 = safeNum(ca?.total ?? (m1 || 0) + (f1 || 0) + (k1 || 0));
   const t2 = safeNum(cb?.total ?? (m2 || 0) + (f2 || 0) + (k2 || 0));
-  const okMale = m1 != null && m2 != null ? Math.abs(m1 - m2) <= 1 : false;
-  const okFemale = f1 != null && f2 != null ? Math.abs(f1 - f2) <= 1 : false;
-  const okKids = k1 != null && k2 != null ? Math.abs(k1 - k2) <= 1 : false;
-  const okTotal = t1 != null && t2 != null ? Math.abs(t1 - t2) <= 3 : false;
-  // Headcount is "similar" if ALL subrules that are present are satisfied.
+
+  // Each present sub-count: 1 within tolerance, decaying to 0 once the
+  // difference reaches the larger of the two counts (relative distance).
+  const part = (x, y, limit) =>
+    linearBeyond(Math.abs(x - y), limit, Math.max(x, y, limit + 1), strict);
+
+  const scores = [];
+  if (m1 != null && m2 != null) scores.push(part(m1, m2, t.countsPart));
+  if (f1 != null && f2 != null) scores.push(part(f1, f2, t.countsPart));
+  if (k1 != null && k2 != null) scores.push(part(k1, k2, t.countsPart));
+  if (t1 != null && t2 != null) scores.push(part(t1, t2, t.countsTotal));
   // If none present, return 0.
-  const checks = [];
-  if (m1 != null && m2 != null) checks.push(okMale);
-  if (f1 != null && f2 != null) checks.push(okFemale);
-  if (k1 != null && k2 != null) checks.push(okKids);
-  if (t1 != null && t2 != null) checks.push(okTotal);
-  if (!checks.length) return 0;
-  return checks.every(Boolean) ? 1 : 0;
-}
-function simRansomPct(a, b) {
+  if (!scores.length) return 0;
+  // Strict: similar only if ALL present subrules are satisfied.
+  if (strict) return scores.every((s) => s === 1) ? 1 : 0;
+  return scores.reduce((a, b) => a + b, 0) / scores.length;
+}
+function simRansom(a, b, opts) {
   const x = safeNum(a),
     y = safeNum(b);
   if (x == null || y == null) return 0;
   const maxv = Math.max(x, y, 1);
-  const rel = Math.abs(x - y) / maxv;
-  return rel <= 0.1 ? 1 : 0; // ±10%
+  const rel = Math.abs(x - y) / maxv; // 0..1
+  return linearBeyond(rel, tol(opts).ransomPct, 1, isStrict(opts));
 }
-function simEventEqual(a, b) {
-  return arrEqual(a, b) ? 1 : 0;
+// Multi-valued aspects: set overlap (graded) or identical arrays (strict)
+function simValueSet(a, b, opts, key) {
+  const t = tol(opts);
+  const measure = t[`${key}Measure`] || t.setMeasure;
+  a = canonicalList(key, a, opts);
+  b = canonicalList(key, b, opts);
+  if (isStrict(opts) || measure === "exact") return arrEqual(a, b) ? 1 : 0;
+  return setOverlap(a, b, measure);
 }
-function simTransportEqual(a, b) {
-  const s1 = (a || "").trim().toLowerCase();
-  const s2 = (b || "").trim().toLowerCase();
+function simTransportEqual(a, b, opts) {
+  const s1 = a ? canonical("transport", a, opts) : "";
+  const s2 = b ? canonical("transport", b, opts) : "";
   if (!s1 || !s2) return 0;
   return s1 === s2 ? 1 : 0;
 }
-function simConditionsEqual(a, b) {
-  return arrEqual(a, b) ? 1 : 0;
-}
 
-// overall similarity = weighted average of aspect booleans in {0,1}
-export function overallSimilarity(a, b, weights) {
-  const parts = [];
-  const add = (w, s) => {
-    if (!w || w <= 0) return;
-    parts.push({ w, s });
-  };
+// ---- aspect table ----
+// score: pairwise rule; value: what the rule compared (for explanations)
+const ASPECTS = [
+  {
+    key: "date",
+    score: (a, b, opts) => simDate(a.date, b.date, opts),
+    value: (e) => e.date ?? null,
+  },
+  {
+    key: "location",
+    score: simLocation,
+    value: (e) => ({
+      name: e.location ?? null,
+      geo: hasGeo(e.geo) ? e.geo : null,
+      placeId: e.placeId ?? null,
+    }),
+  },
+  {
+    key: "counts",
+    score: (a, b, opts) => simCounts(a.counts, b.counts, opts),
+    value: (e) => e.counts ?? null,
+  },
+  {
+    key: "ransom",
+    score: (a, b, opts) => simRansom(a.ransom, b.ransom, opts),
+    value: (e) => e.ransom ?? null,
+  },
+  {
+    key: "eventTypes",
+    score: (a, b, opts) =>
+      simValueSet(a.eventTypes, b.eventTypes, opts, "eventTypes"),
+    value: (e) => e.eventTypes ?? [],
+  },
+  {
+    key: "transport",
+    score: (a, b, opts) => simTransportEqual(a.transport, b.transport, opts),
+    value: (e) => e.transport ?? null,
+  },
+  {
+    key: "conditions",
+    score: (a, b, opts) =>
+      simValueSet(a.conditions, b.conditions, opts, "conditions"),
+    value: (e) => e.conditions ?? [],
+  },
+];
 
-  add(weights?.date, simDateStrict(a.date, b.date));
-  add(weights?.location, simLocationExact(a.location, b.location));
-  add(weights?.counts, simCountsTolerant(a.counts, b.counts));
-  add(weights?.ransom, simRansomPct(a.ransom, b.ransom));
-  add(weights?.eventTypes, simEventEqual(a.eventTypes, b.eventTypes));
-  add(weights?.transport, simTransportEqual(a.transport, b.transport));
-  add(weights?.conditions, simConditionsEqual(a.conditions, b.conditions));
+export const ASPECT_KEYS = ASPECTS.map((x) => x.key);
 
-  const W = parts.reduce((s, p) => s + p.w, 0);
+// overall similarity = weighted average of aspect scores in [0,1]
+// opts: { mode: "graded" | "strict", tolerances: Partial<DEFAULT_TOLERANCES> }
+export function overallSimilarity(a, b, weights, opts = {}) {
+  let W = 0;
+  let sum = 0;
+  for (const aspect of ASPECTS) {
+    const w = weights?.[aspect.key];
+    if (!w || w <= 0) continue;
+    W += w;
+    sum += w * aspect.score(a, b, opts);
+  }
   if (W === 0) return 0;
-  const score = parts.reduce((s, p) => s + p.w * p.s, 0) / W;
-  return score; // 0..1
+  return sum / W; // 0..1
+}
+
+// Same score as overallSimilarity, plus every aspect's score, weight and the
+// raw values compared. Aspects with weight 0 are still scored but not counted.
+export function explainPair(a, b, weights, opts = {}) {
+  let W = 0;
+  let sum = 0;
+  const aspects = {};
+  for (const aspect of ASPECTS) {
+    const w = weights?.[aspect.key] > 0 ? weights[aspect.key] : 0;
+    const s = aspect.score(a, b, opts);
+    W += w;
+    sum += w * s;
+    aspects[aspect.key] = {
+      score: +s.toFixed(3),
+      weight: w,
+      a: aspect.value(a),
+      b: aspect.value(b),
+    };
+  }
+  if (hasGeo(a.geo) && hasGeo(b.geo)) {
+    aspects.location.distanceKm = +haversineKm(a.geo, b.geo).toFixed(3);
+  }
+  return { score: W ? sum / W : 0, aspects };
+}
+
+// ---- blocking (candidate generation) ----
+// Only pairs whose event dates fall in the same or a neighbouring window of
+// `windowDays` are scored. Pairs in windows two or more apart are > windowDays
+// apart, so their date score is at most dateScoreAt(windowDays). Blocking is
+// only used when even a perfect score on every other aspect cannot lift such a
+// pair to the threshold, which keeps the buckets identical to the full scan.
+// Entries without a date score 0 on date against everyone and are skipped
+// under the same condition.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function dateScoreAt(days, opts) {
+  const t = tol(opts);
+  if (days <= t.dateDays) return 1;
+  if (isStrict(opts)) return 0;
+  return Math.exp(-(days - t.dateDays) / t.dateScaleDays);
+}
+
+// Smallest date window that makes blocking lossless, or null if none exists.
+export function dateBlockingWindow(weights, threshold, opts = {}) {
+  const ws = ASPECT_KEYS.map((k) => weights?.[k]).filter((w) => w && w > 0);
+  const W = ws.reduce((a, b) => a + b, 0);
+  const wDate = weights?.date > 0 ? weights.date : 0;
+  if (!W || !wDate) return null;
+  const share = wDate / W;
+  // highest date score an uncompared pair may have and still stay below threshold
+  const allowed = (threshold - (1 - share)) / share;
+  if (!(allowed > 0)) return null;
+
+  const t = tol(opts);
+  let days = Math.max(1, Math.ceil(t.dateDays));
+  if (!isStrict(opts) && allowed < 1) {
+    days = Math.max(
+      days,
+      Math.ceil(t.dateDays + t.dateScaleDays * Math.log(1 / allowed)),
+    );
+  }
+  // one day of margin against floating-point rounding at the boundary
+  days += 1;
+  return dateScoreAt(days, opts) < allowed ? days : null;
+}
+
+// Index pairs [i, j] (i < j) worth scoring, in the same order as the full scan.
+function dateBlockedPairs(entries, windowDays) {
+  const cells = new Map();
+  const cellOf = [];
+  entries.forEach((e, i) => {
+    const d = iso(e.date);
+    if (!d) return;
+    const c = Math.floor(+d / DAY_MS / windowDays);
+    cellOf[i] = c;
+    if (!cells.has(c)) cells.set(c, []);
+    cells.get(c).push(i);
+  });
+
+  const pairs = [];
+  for (let i = 0; i < entries.length; i++) {
+    const c = cellOf[i];
+    if (c == null) continue;
+    const js = [];
+    for (const k of [c - 1, c, c + 1]) {
+      for (const j of cells.get(k) || []) if (j > i) js.push(j);
+    }
+    js.sort((a, b) => a - b);
+    for (const j of js) pairs.push([i, j]);
+  }
+  return pairs;
 }
 
 // DSU clustering on thresholded pair-wise similarity
@@ -120,23 +378,175 @@ class DSU {
   }
 }
 
-export function clusterEntries(entries, weights, threshold = 0.7) {
+// ---- clustering strategies ----
+// single:   union every above-threshold pair (chains A–B–C even if A≁C)
+// complete: merge two groups only if EVERY cross pair is above threshold
+// average:  merge two groups if the MEAN cross-pair score is above threshold
+// density:  DBSCAN-style; entries with ≥ minNeighbors above-threshold
+//           neighbours are cores, cores link up, borders join their best core,
+//           everything else stays on its own
+export const STRATEGIES = ["single", "complete", "average", "density"];
+
+// ---- reporters ----
+// merge:    same-reporter pairs link like any other pair (default)
+// separate: same-reporter matches are one person's duplicate submissions; they
+//           are reported as `duplicates` and do not build buckets
+export const REPORTER_MODES = ["merge", "separate"];
+
+const sameReporter = (a, b) => a.reporter != null && a.reporter === b.reporter;
+
+// Distinct people behind a set of entries; unknown reporters count once each
+function corroborationOf(list) {
+  const known = new Set();
+  let unknown = 0;
+  for (const e of list) {
+    if (e.reporter == null) unknown++;
+    else known.add(e.reporter);
+  }
+  return known.size + unknown;
+}
+
+// opts.blocking: "auto" (default: block on date when lossless) | "none"
+// opts.strategy: one of STRATEGIES (default "single")
+// opts.minNeighbors: density strategy only (default 2)
+// opts.mustLink / opts.cannotLink: [[idA, idB], …] analyst pins / splits;
+//   pinned pairs always share a bucket, split pairs never do (split wins)
+// opts.reporterMode: one of REPORTER_MODES (default "merge"); entries carry
+//   `reporter`. Buckets rank by corroboration (distinct reporters), then size.
+export function clusterEntries(entries, weights, threshold = 0.7, opts = {}) {
   const n = entries.length;
   const dsu = new DSU(n);
-  const edges = [];
-  for (let i = 0; i < n; i++) {
-    for (let j = i + 1; j < n; j++) {
-      const s = overallSimilarity(entries[i], entries[j], weights);
-      if (s >= threshold) {
-        dsu.union(i, j);
-        edges.push({
-          a: entries[i].id,
-          b: entries[j].id,
-          score: +s.toFixed(3),
-        });
+  const strategy = STRATEGIES.includes(opts.strategy)
+    ? opts.strategy
+    : "single";
+
+  const indexOf = new Map(entries.map((e, i) => [e.id, i]));
+  const toIndexPairs = (pairs) =>
+    (pairs || [])
+      .map(([a, b]) => [indexOf.get(a), indexOf.get(b)])
+      .filter(([i, j]) => i != null && j != null && i !== j);
+  const cannot = toIndexPairs(opts.cannotLink);
+
+  // members per DSU root, kept up to date by merge()
+  const members = new Map(Array.from({ length: n }, (_, i) => [i, [i]]));
+  const merge = (x, y) => {
+    const rx = dsu.find(x),
+      ry = dsu.find(y);
+    if (rx === ry) return true;
+    for (const [i, j] of cannot) {
+      const ri = dsu.find(i),
+        rj = dsu.find(j);
+      if ((ri === rx && rj === ry) || (ri === ry && rj === rx)) return false;
+    }
+    const A = members.get(rx),
+      B = members.get(ry);
+    dsu.union(rx, ry);
+    const r = dsu.find(rx);
+    members.set(r, A.concat(B));
+    members.delete(r === rx ? ry : rx);
+    return true;
+  };
+
+  for (const [i, j] of toIndexPairs(opts.mustLink)) merge(i, j);
+
+  // pair scores beyond the above-threshold links are computed on demand
+  // (complete/average linkage, cohesion) and memoised
+  const memo = new Map();
+  const pairScore = (i, j) => {
+    if (i > j) [i, j] = [j, i];
+    const key = i * n + j;
+    if (!memo.has(key))
+      memo.set(key, overallSimilarity(entries[i], entries[j], weights, opts));
+    return memo.get(key);
+  };
+
+  const windowDays =
+    opts.blocking === "none"
+      ? null
+      : dateBlockingWindow(weights, threshold, opts);
+  const blocking = windowDays
+    ? { key: "date", windowDays, candidates: 0 }
+    : { key: null, candidates: (n * (n - 1)) / 2 };
+
+  // above-threshold pairs, in scan order; in "separate" reporter mode a
+  // person's own repeats go to `dupLinks` instead
+  const separate = opts.reporterMode === "separate";
+  const links = [];
+  const dupLinks = [];
+  const consider = (i, j) => {
+    const s = overallSimilarity(entries[i], entries[j], weights, opts);
+    if (s >= threshold) {
+      if (separate && sameReporter(entries[i], entries[j]))
+        dupLinks.push({ i, j, s });
+      else links.push({ i, j, s });
+      memo.set(i * n + j, s);
+    }
+  };
+
+  if (windowDays) {
+    const pairs = dateBlockedPairs(entries, windowDays);
+    blocking.candidates = pairs.length;
+    for (const [i, j] of pairs) consider(i, j);
+  } else {
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) consider(i, j);
+    }
+  }
+
+  if (strategy === "single") {
+    for (const { i, j } of links) merge(i, j);
+  } else if (strategy === "complete" || strategy === "average") {
+    const ordered = links.slice().sort((x, y) => y.s - x.s);
+    for (const { i, j } of ordered) {
+      const ri = dsu.find(i),
+        rj = dsu.find(j);
+      if (ri === rj) continue;
+      const A = members.get(ri),
+        B = members.get(rj);
+      let ok = true;
+      let sum = 0;
+      for (const x of A) {
+        for (const y of B) {
+          const s = pairScore(x, y);
+          if (strategy === "complete" && s < threshold) {
+            ok = false;
+            break;
+          }
+          sum += s;
+        }
+        if (!ok) break;
       }
+      if (ok && strategy === "average")
+        ok = sum / (A.length * B.length) >= threshold;
+      if (ok) merge(ri, rj);
+    }
+  } else {
+    const minNeighbors = Math.max(1, Number(opts.minNeighbors) || 2);
+    const neighbors = Array.from({ length: n }, () => []);
+    for (const { i, j, s } of links) {
+      neighbors[i].push({ k: j, s });
+      neighbors[j].push({ k: i, s });
+    }
+    const core = neighbors.map((list) => list.length >= minNeighbors);
+    for (const { i, j } of links) if (core[i] && core[j]) merge(i, j);
+    for (let i = 0; i < n; i++) {
+      if (core[i]) continue;
+      let best = null;
+      for (const nb of neighbors[i]) {
+        if (core[nb.k] && (!best || nb.s > best.s)) best = nb;
+      }
+      if (best) merge(best.k, i);
     }
   }
+
+  const edges = links.concat(dupLinks).map(({ i, j, s }) => ({
+    a: entries[i].id,
+    b: entries[j].id,
+    score: +s.toFixed(3),
+    sameReporter: sameReporter(entries[i], entries[j]),
+    aspects: explainPair(entries[i], entries[j], weights, opts).aspects,
+  }));
+
   const groups = new Map();
   for (let i = 0; i < n; i++) {
     const r = dsu.find(i);
@@ -148,12 +558,362 @@ export function clusterEntries(entries, weights, threshold = 0.7) {
   let idx = 1;
   for (const arr of groups.values()) {
     const ids = arr.map((i) => entries[i].id);
+    const list = arr.map((i) => entries[i]);
     buckets.push({
       bucketId: `bucket-${idx++}`,
       entryIds: ids,
       size: ids.length,
+      cohesion: cohesionOf(arr, pairScore),
+      reporters: [...new Set(list.map((e) => e.reporter).filter(Boolean))],
+      corroboration: corroborationOf(list),
     });
   }
-  buckets.sort((a, b) => b.size - a.size);
-  return { buckets, pairwise: edges };
+  buckets.sort((a, b) => b.corroboration - a.corroboration || b.size - a.size);
+
+  // one person's repeated submissions, grouped per reporter
+  const dup = new DSU(n);
+  for (const { i, j } of dupLinks) dup.union(i, j);
+  const dupGroups = new Map();
+  for (const { i, j } of dupLinks) {
+    for (const k of [i, j]) {
+      const r = dup.find(k);
+      if (!dupGroups.has(r)) dupGroups.set(r, new Set());
+      dupGroups.get(r).add(k);
+    }
+  }
+  const duplicates = [...dupGroups.values()].map((set) => {
+    const arr = [...set].sort((x, y) => x - y);
+    return {
+      reporter: entries[arr[0]].reporter,
+      entryIds: arr.map((i) => entries[i].id),
+      size: arr.length,
+    };
+  });
+
+  return {
+    buckets,
+    duplicates,
+    pairwise: edges,
+    blocking,
+    strategy,
+    reporterMode: separate ? "separate" : "merge",
+  };
+}
+
+// Minimum and mean similarity over all pairs inside a bucket (null for singletons)
+function cohesionOf(members, pairScore) {
+  if (members.length < 2) return null;
+  let min = Infinity;
+  let sum = 0;
+  let count = 0;
+  for (let x = 0; x < members.length; x++) {
+    for (let y = x + 1; y < members.length; y++) {
+      const s = pairScore(members[x], members[y]);
+      if (s < min) min = s;
+      sum += s;
+      count++;
+    }
+  }
+  return { min: +min.toFixed(3), mean: +(sum / count).toFixed(3) };
+}
+
+// ---- bucket summaries ----
+const fmtDate = (dStr) => dStr; // yyyy-mm-dd already
+const fmtMoney = (n, currency) =>
+  new Intl.NumberFormat("en", {
+    style: "currency",
+    currency,
+    maximumFractionDigits: 0,
+  }).format(n);
+
+// Mean of the points and the furthest member's distance from it (km).
+function centroidAndRadius(points) {
+  const lat = points.reduce((a, p) => a + p.lat, 0) / points.length;
+  const lon = points.reduce((a, p) => a + p.lon, 0) / points.length;
+  const centroid = { lat: +lat.toFixed(6), lon: +lon.toFixed(6) };
+  const radiusKm = Math.max(...points.map((p) => haversineKm(centroid, p)));
+  return { centroid, radiusKm: +radiusKm.toFixed(3) };
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  for (const [v, c] of counts) if (!best || c > best[1]) best = [v, c];
+  return best ? best[0] : null;
+}
+
+// Values every entry has (shared) and values only some entries have (differing).
+// Compared by termKey, like the scorer; the first spelling seen is kept for display.
+function sharedAndDiffering(lists) {
+  const display = new Map();
+  const sets = lists.map((list) => {
+    const set = new Set();
+    for (const v of Array.isArray(list) ? list : list != null ? [list] : []) {
+      const raw = String(v).trim();
+      const key = termKey(raw);
+      if (!key) continue;
+      if (!display.has(key)) display.set(key, raw);
+      set.add(key);
+    }
+    return set;
+  });
+  const shared = [];
+  const differing = [];
+  for (const key of display.keys()) {
+    if (sets.length && sets.every((set) => set.has(key))) shared.push(key);
+    else differing.push(key);
+  }
+  const show = (keys) => keys.map((k) => display.get(k)).sort();
+  return { shared: show(shared), differing: show(differing) };
+}
+
+/**
+ * Concise summary of a bucket: the aspects on which ALL its entries agree
+ * within `tolerances` (the same ones the scorer used). `entryById` holds
+ * entries shaped like the API's entryById; ransoms are in `currency`.
+ */
+export function summarizeBucket(
+  b,
+  entryById,
+  tolerances,
+  { currency = "USD" } = {},
+) {
+  const {
+    dateDays,
+    locationRadiusKm: radiusKm,
+    countsPart,
+    countsTotal,
+    ransomPct,
+  } = resolveTolerances(tolerances);
+  const entries = b.entryIds.map((id) => entryById[id]).filter(Boolean);
+
+  // ----- Date (every pair within ±dateDays => span ≤ 2 × dateDays) -----
+  let dateRange = null;
+  let dateAspect = null;
+  if (entries.length && entries.every((e) => e.date)) {
+    const times = entries.map((e) => new Date(e.date + "T00:00:00Z").getTime());
+    const min = Math.min(...times);
+    const max = Math.max(...times);
+    const spanDays = (max - min) / 86400000;
+    if (spanDays === 0) {
+      const d = new Date(min).toISOString().slice(0, 10);
+      dateRange = { earliest: d, latest: d };
+      dateAspect = {
+        similar: true,
+        display: fmtDate(d),
+        details: { spanDays: 0 },
+      };
+    } else if (spanDays <= 2 * dateDays) {
+      const earliest = new Date(min).toISOString().slice(0, 10);
+      const latest = new Date(max).toISOString().slice(0, 10);
+      dateRange = { earliest, latest };
+      dateAspect = {
+        similar: true,
+        display: `${fmtDate(earliest)} – ${fmtDate(latest)}`,
+        details: { spanDays },
+      };
+    }
+  }
+
+  // ----- Location (all pins within radius of the centroid; else same OSM id / name) -----
+  let commonLocation = null;
+  let locationArea = null;
+  let locAspect = null;
+  if (entries.length && entries.every((e) => e.geo)) {
+    const { centroid, radiusKm: spreadKm } = centroidAndRadius(
+      entries.map((e) => e.geo),
+    );
+    locationArea = { centroid, radiusKm: spreadKm };
+    if (spreadKm <= radiusKm) {
+      commonLocation = mostCommon(entries.map((e) => e.location));
+      locAspect = {
+        similar: true,
+        display: commonLocation
+          ? `${commonLocation} (within ${spreadKm} km)`
+          : `${centroid.lat}, ${centroid.lon} (within ${spreadKm} km)`,
+        details: locationArea,
+      };
+    }
+  } else if (
+    entries.length &&
+    entries[0].placeId &&
+    entries.every((e) => e.placeId === entries[0].placeId)
+  ) {
+    commonLocation = mostCommon(entries.map((e) => e.location));
+    locAspect = {
+      similar: true,
+      display: commonLocation || entries[0].placeId,
+      details: { placeId: entries[0].placeId },
+    };
+  } else if (
+    entries.length &&
+    entries.every(
+      (e) =>
+        (e.location || "").toLowerCase() ===
+        (entries[0].location || "").toLowerCase(),
+    ) &&
+    entries[0].location
+  ) {
+    commonLocation = entries[0].location;
+    locAspect = { similar: true, display: commonLocation };
+  }
+
+  // ----- Counts (male/female/kids ±countsPart, total ±countsTotal) -----
+  const partLabels = ["male", "female", "kids"];
+  const countsSimilar = {};
+  let anyCountsShown = false;
+
+  // per-part
+  partLabels.forEach((label) => {
+    const vals = entries.map((e) => e.counts?.[label]).filter((v) => v != null);
+    if (vals.length === entries.length) {
+      const min = Math.min(...vals);
+      const max = Math.max(...vals);
+      if (max - min <= countsPart) {
+        countsSimilar[label] = { min, max };
+        anyCountsShown = true;
+      }
+    }
+  });
+
+  // total
+  const totals = entries.map((e) => e.counts?.total).filter((v) => v != null);
+  if (totals.length === entries.length) {
+    const minT = Math.min(...totals);
+    const maxT = Math.max(...totals);
+    if (maxT - minT <= countsTotal) {
+      countsSimilar.total = { min: minT, max: maxT };
+      anyCountsShown = true;
+    }
+  }
+
+  let countsAspect = null;
+  if (anyCountsShown) {
+    const parts = [];
+    for (const label of ["male", "female", "kids"]) {
+      const r = countsSimilar[label];
+      if (!r) continue;
+      parts.push(
+        r.min === r.max ? `${label} ${r.min}` : `${label} ${r.min}–${r.max}`,
+      );
+    }
+    if (countsSimilar.total) {
+      const r = countsSimilar.total;
+      parts.push(
+        r.min === r.max ? `total ${r.min}` : `total ${r.min}–${r.max}`,
+      );
+    }
+    countsAspect = {
+      similar: true,
+      display: parts.join(", "),
+      details: countsSimilar,
+    };
+  }
+
+  // ----- Ransom (all values within ±ransomPct of the MEAN) -----
+  let ransomRange = null;
+  let ransomAspect = null;
+  const ransomVals = entries.map((e) => e.ransom).filter((v) => v != null);
+  if (ransomVals.length === entries.length) {
+    const mean = ransomVals.reduce((a, b) => a + b, 0) / ransomVals.length;
+    const maxAbsPct = Math.max(
+      ...ransomVals.map((v) => Math.abs(v - mean) / mean),
+    );
+    const minR = Math.min(...ransomVals);
+    const maxR = Math.max(...ransomVals);
+    if (maxAbsPct <= ransomPct) {
+      ransomRange = { min: minR, max: maxR };
+      ransomAspect = {
+        similar: true,
+        display:
+          minR === maxR
+            ? fmtMoney(minR, currency)
+            : `${fmtMoney(minR, currency)} – ${fmtMoney(maxR, currency)} (±${Math.round(ransomPct * 100)}%)`,
+        details: { min: minR, max: maxR, mean },
+      };
+    }
+  }
+
+  // ----- Event Type (shared vs differing values; case-insensitive) -----
+  const eventSets = sharedAndDiffering(entries.map((e) => e.eventTypes));
+  let eventType = null;
+  let eventAspect = null;
+  if (eventSets.shared.length) {
+    eventType = eventSets.shared.join(", ");
+    eventAspect = {
+      similar: true,
+      display: eventSets.differing.length
+        ? `${eventType} (also: ${eventSets.differing.join(", ")})`
+        : eventType,
+      details: eventSets,
+    };
+  }
+
+  // ----- Transport (all same termKey) -----
+  let transport = null;
+  let transportAspect = null;
+  if (entries.length) {
+    const base = (entries[0].transport || "").toString().trim();
+    if (base && entries.every((e) => termKey(e.transport) === termKey(base))) {
+      transport = base;
+      transportAspect = { similar: true, display: base };
+    }
+  }
+
+  // ----- Conditions (shared vs differing values; case-insensitive) -----
+  const conditionSets = sharedAndDiffering(entries.map((e) => e.conditions));
+  let conditions = null;
+  let conditionsAspect = null;
+  if (conditionSets.shared.length) {
+    conditions = conditionSets.shared;
+    conditionsAspect = {
+      similar: true,
+      display: conditionSets.differing.length
+        ? `${conditions.join(", ")} (also: ${conditionSets.differing.join(", ")})`
+        : conditions.join(", "),
+      details: { values: conditions, ...conditionSets },
+    };
+  }
+
+  // Build similarAspects (only include those that qualified)
+  const similarAspects = {};
+  if (locAspect) similarAspects.location = locAspect;
+  if (dateAspect) similarAspects.date = dateAspect;
+  if (countsAspect) similarAspects.headcount = countsAspect;
+  if (ransomAspect) similarAspects.ransom = ransomAspect;
+  if (eventAspect) similarAspects.eventType = eventAspect;
+  if (transportAspect) similarAspects.transport = transportAspect;
+  if (conditionsAspect) similarAspects.conditions = conditionsAspect;
+
+  // Plain-text strings for UI
+  const dateText = dateAspect?.display || null;
+  const headcountText = countsAspect?.display || null;
+  const ransomText = ransomAspect?.display || null;
+  const eventTypeText = eventAspect?.display || null;
+  const transportText = transportAspect?.display || null;
+  const conditionsText = conditionsAspect?.display || null;
+
+  return {
+    ...b,
+    summary: {
+      // structured fields (kept)
+      dateRange,
+      counts: Object.keys(countsSimilar).length ? countsSimilar : null,
+      ransom: ransomRange,
+      // UI-friendly strings
+      date: dateText,
+      location: commonLocation,
+      locationArea,
+      headcountText,
+      ransomText,
+      eventType: eventTypeText,
+      transport: transportText,
+      conditions: conditionsText,
+      eventTypeSets: eventSets,
+      conditionSets,
+      // rich detail
+      similarAspects,
+    },
+  };
 }
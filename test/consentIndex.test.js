@@ -0,0 +1,273 @@
+// The SQLite consent index (data/consentIndex.js, data/db.js) and loading the
+// JSONL index from before it, on a temporary database
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawnSync } from "child_process";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "consent-index-"));
+process.env.NGO_DB_PATH = path.join(tmp, "ngo.sqlite");
+
+const { openDb, getDb } = await import("../data/db.js");
+const {
+  appendConsentedLink,
+  importConsentIndexFile,
+  importLegacyConsentIndex,
+  pruneConsentIndex,
+  readConsentIndex,
+  removeFromConsentIndex,
+  updateConsentIndexEntry,
+} = await import("../data/consentIndex.js");
+
+const entry = (n) => `https://pod.example/public/journal/entry-${n}.ttl`;
+const urls = (rows) => rows.map((r) => r.url);
+
+const writeJsonl = (name, lines) => {
+  const file = path.join(tmp, name);
+  fs.writeFileSync(file, lines.join("\n") + "\n");
+  return file;
+};
+
+const reset = () => getDb().exec("DELETE FROM consented_entries");
+
+test("rows round-trip with their organisations and extra fields", async () => {
+  reset();
+  await appendConsentedLink({
+    url: entry(1),
+    organisations: ["ngo", "red-cross"],
+    timestamp_iso: "2025-03-01T10:00:00.000Z",
+    reporter_email: "a@example.org",
+    reporter_webId: "https://a.example/profile/card#me",
+    lat: 32.9,
+  });
+  await appendConsentedLink({
+    url: entry(2),
+    timestamp_iso: "2025-03-02T10:00:00.000Z",
+  });
+
+  const [first, second] = await readConsentIndex();
+  assert.deepEqual(first.organisations.sort(), ["ngo", "red-cross"]);
+  assert.equal(first.reporter_webId, "https://a.example/profile/card#me");
+  assert.equal(first.lat, 32.9);
+  // no organisations given: the NGO, as before organisations existed
+  assert.deepEqual(second.organisations, ["ngo"]);
+});
+
+test("filters by organisation, reporter and URL", async () => {
+  reset();
+  await appendConsentedLink({
+    url: entry(1),
+    organisations: ["ngo"],
+    reporter_email: "a@example.org",
+  });
+  await appendConsentedLink({
+    url: entry(2),
+    organisations: ["red-cross"],
+    reporter_email: "b@example.org",
+  });
+
+  assert.deepEqual(urls(await readConsentIndex({ organisation: "ngo" })), [
+    entry(1),
+  ]);
+  assert.deepEqual(
+    urls(await readConsentIndex({ reporter: "b@example.org" })),
+    [entry(2)],
+  );
+  // URLs compare loosely (host case, fragment)
+  const loose = entry(2).replace("pod.example", "POD.example") + "#it";
+  assert.deepEqual(urls(await readConsentIndex({ url: loose })), [entry(2)]);
+});
+
+test("a re-share replaces the row instead of adding one", async () => {
+  reset();
+  await appendConsentedLink({
+    url: entry(1),
+    organisations: ["ngo", "red-cross"],
+    timestamp_iso: "2025-03-01T10:00:00.000Z",
+  });
+  await appendConsentedLink({
+    url: entry(2),
+    timestamp_iso: "2025-03-02T10:00:00.000Z",
+  });
+  await appendConsentedLink({
+    url: entry(1),
+    organisations: ["red-cross"],
+    timestamp_iso: "2025-03-03T10:00:00.000Z",
+  });
+
+  const rows = await readConsentIndex();
+  // in the order they were (last) shared
+  assert.deepEqual(urls(rows), [entry(2), entry(1)]);
+  assert.deepEqual(rows[1].organisations, ["red-cross"]);
+  assert.deepEqual(urls(await readConsentIndex({ organisation: "ngo" })), [
+    entry(2),
+  ]);
+});
+
+test("update, remove and prune touch only the rows they select", async () => {
+  reset();
+  for (const n of [1, 2, 3]) await appendConsentedLink({ url: entry(n) });
+
+  assert.equal(
+    await updateConsentIndexEntry(entry(1), { expires_iso: "2026-01-01" }),
+    true,
+  );
+  assert.equal(
+    await updateConsentIndexEntry(entry(9), { expires_iso: "2026-01-01" }),
+    false,
+  );
+  const [updated] = await readConsentIndex({ url: entry(1) });
+  assert.equal(updated.expires_iso, "2026-01-01");
+  assert.deepEqual(updated.organisations, ["ngo"]);
+
+  await removeFromConsentIndex(entry(2));
+  await pruneConsentIndex((row) => row.url !== entry(3));
+  assert.deepEqual(urls(await readConsentIndex()), [entry(1)]);
+  // the organisation rows went with them
+  const orphans = getDb()
+    .prepare(
+      "SELECT COUNT(*) FROM consented_entry_organisations WHERE entry_id NOT IN (SELECT id FROM consented_entries)",
+    )
+    .pluck()
+    .get();
+  assert.equal(orphans, 0);
+});
+
+test("migration 2 keeps the newest row per resource and makes URLs unique", () => {
+  const file = path.join(tmp, "v1.sqlite");
+  const v1 = openDb(file, { version: 1 });
+  assert.equal(v1.pragma("user_version", { simple: true }), 1);
+  const insert = v1.prepare(
+    "INSERT INTO consented_entries (url, url_key, timestamp_iso) VALUES (?, ?, ?)",
+  );
+  insert.run(entry(1), entry(1), "2025-03-01T10:00:00.000Z");
+  insert.run(entry(1), entry(1), "2025-03-05T10:00:00.000Z");
+  insert.run(entry(2), entry(2), "2025-03-02T10:00:00.000Z");
+  v1.close();
+
+  const db = openDb(file);
+  assert.equal(db.pragma("user_version", { simple: true }), 2);
+  const rows = db
+    .prepare("SELECT url, timestamp_iso FROM consented_entries ORDER BY url")
+    .all();
+  assert.deepEqual(rows, [
+    { url: entry(1), timestamp_iso: "2025-03-05T10:00:00.000Z" },
+    { url: entry(2), timestamp_iso: "2025-03-02T10:00:00.000Z" },
+  ]);
+  assert.throws(
+    () =>
+      db
+        .prepare("INSERT INTO consented_entries (url, url_key) VALUES (?, ?)")
+        .run(entry(2), entry(2)),
+    /UNIQUE/,
+  );
+  db.close();
+  // reopening applies nothing again
+  const again = openDb(file);
+  assert.equal(again.pragma("user_version", { simple: true }), 2);
+  again.close();
+});
+
+test("importing a JSONL file skips indexed resources and bad lines", async () => {
+  reset();
+  await appendConsentedLink({
+    url: entry(1),
+    timestamp_iso: "2025-04-01T10:00:00.000Z",
+  });
+  const file = writeJsonl("old.jsonl", [
+    JSON.stringify({
+      url: entry(1),
+      timestamp_iso: "2025-01-01T10:00:00.000Z",
+    }),
+    JSON.stringify({
+      url: entry(2),
+      timestamp_iso: "2025-01-02T10:00:00.000Z",
+    }),
+    "not json",
+    JSON.stringify({ note: "no url" }),
+    "",
+    JSON.stringify({
+      url: entry(2),
+      organisations: ["red-cross"],
+      timestamp_iso: "2025-01-03T10:00:00.000Z",
+    }),
+  ]);
+
+  assert.deepEqual(await importConsentIndexFile(file), {
+    imported: 2,
+    skipped: 1,
+    malformed: 2,
+  });
+  const rows = await readConsentIndex();
+  assert.deepEqual(urls(rows), [entry(2), entry(1)]);
+  // the indexed row wins over the file; a later line wins within the file
+  assert.equal(rows[1].timestamp_iso, "2025-04-01T10:00:00.000Z");
+  assert.deepEqual(rows[0].organisations, ["red-cross"]);
+
+  assert.deepEqual(await importConsentIndexFile(file), {
+    imported: 0,
+    skipped: 3,
+    malformed: 2,
+  });
+  assert.equal((await readConsentIndex()).length, 2);
+});
+
+test("the legacy index is loaded into an empty database once", async () => {
+  reset();
+  const file = writeJsonl("consented-journals.jsonl", [
+    JSON.stringify({ url: entry(1) }),
+    JSON.stringify({ url: entry(2) }),
+  ]);
+
+  assert.deepEqual(await importLegacyConsentIndex(file), {
+    imported: 2,
+    skipped: 0,
+    malformed: 0,
+  });
+  // withdrawn since: the file must not bring the entries back
+  reset();
+  assert.equal(await importLegacyConsentIndex(file), null);
+  assert.deepEqual(await readConsentIndex(), []);
+});
+
+test("the legacy index is left alone when the database has rows", async () => {
+  reset();
+  await appendConsentedLink({ url: entry(3) });
+  const file = writeJsonl("other-legacy.jsonl", [
+    JSON.stringify({ url: entry(1) }),
+  ]);
+  assert.equal(await importLegacyConsentIndex(file), null);
+  assert.deepEqual(urls(await readConsentIndex()), [entry(3)]);
+});
+
+test("scripts/import-consent-index.js loads a file into the database", () => {
+  const file = writeJsonl("script.jsonl", [
+    JSON.stringify({ url: entry(1) }),
+    JSON.stringify({ url: entry(2) }),
+  ]);
+  const env = { ...process.env, NGO_DB_PATH: path.join(tmp, "script.sqlite") };
+  const script = path.resolve(__dirname, "../scripts/import-consent-index.js");
+  const run = () =>
+    spawnSync(process.execPath, [script, file], { env, encoding: "utf8" });
+
+  const first = run();
+  assert.equal(first.status, 0, first.stderr);
+  assert.match(
+    first.stdout,
+    /Imported 2 rows .*\(0 already indexed, 0 malformed\)/,
+  );
+  assert.match(run().stdout, /Imported 0 rows .*\(2 already indexed/);
+
+  const db = openDb(env.NGO_DB_PATH);
+  assert.equal(
+    db.prepare("SELECT COUNT(*) FROM consented_entries").pluck().get(),
+    2,
+  );
+  db.close();
+});
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
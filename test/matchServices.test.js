@@ -0,0 +1,62 @@
+// Incremental matching against incidents (services/matchServices.js)
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreAgainstIncident } from "../services/matchServices.js";
+
+const entry = {
+  id: "https://pod.example/public/journal/entry-1.ttl",
+  date: "2025-03-10",
+  location: "Sabha",
+  lat: 27.0377,
+  lon: 14.4283,
+  ransom: 1500,
+  ransomCurrency: "USD",
+  eventTypes: ["detention"],
+};
+
+const incident = (fields) => ({
+  id: "i1",
+  status: "open",
+  entryIds: [],
+  fields,
+});
+const sabha = {
+  value: { name: "Sabha", centroid: { lat: 27.0377, lon: 14.4283 } },
+};
+
+test("an incident without date or ransom leaves those aspects out", () => {
+  const r = scoreAgainstIncident(
+    entry,
+    incident({ location: sabha, eventTypes: { value: ["detention"] } }),
+  );
+  assert.equal(r.aspects.date.weight, 0);
+  assert.equal(r.aspects.ransom.weight, 0);
+  // the entry's own values are not compared with themselves
+  assert.equal(r.aspects.date.b, null);
+  assert.equal(r.aspects.ransom.b, null);
+});
+
+test("missing incident fields do not lift an unrelated entry", () => {
+  const sparse = incident({
+    location: { value: { name: "Agadez", centroid: null } },
+    eventTypes: { value: ["checkpoint"] },
+  });
+  const r = scoreAgainstIncident(entry, sparse, { threshold: 0.7 });
+  assert.equal(r.matched, false);
+});
+
+test("date and ransom inside the incident's ranges score as matching", () => {
+  const r = scoreAgainstIncident(
+    entry,
+    incident({
+      dateRange: { value: { earliest: "2025-03-08", latest: "2025-03-12" } },
+      location: sabha,
+      ransom: { value: { min: 1000, max: 2000, currency: "USD" } },
+      eventTypes: { value: ["detention"] },
+    }),
+  );
+  assert.equal(r.aspects.date.score, 1);
+  assert.equal(r.aspects.ransom.score, 1);
+  assert.ok(r.aspects.date.weight > 0 && r.aspects.ransom.weight > 0);
+  assert.equal(r.matched, true);
+});
@@ -0,0 +1,206 @@
+// The shared similarity engine (similarity.js): scoring rules, date blocking,
+// clustering strategies, analyst constraints and bucket summaries
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  ASPECT_KEYS,
+  clusterEntries,
+  dateBlockingWindow,
+  explainPair,
+  overallSimilarity,
+  summarizeBucket,
+} from "../similarity.js";
+import { generateFixture } from "../scripts/similarity-fixture.js";
+import { toSimilarityEntry } from "../services/similarServices.js";
+
+const equalWeights = Object.fromEntries(ASPECT_KEYS.map((k) => [k, 1]));
+const dateOnly = { date: 1 };
+
+const entry = (id, fields = {}) => ({
+  id,
+  date: null,
+  location: null,
+  geo: null,
+  counts: {},
+  ransom: null,
+  eventTypes: [],
+  transport: null,
+  conditions: [],
+  reporter: null,
+  ...fields,
+});
+
+// bucket memberships, order-independent
+const groups = (result) =>
+  result.buckets.map((b) => b.entryIds.slice().sort().join(",")).sort();
+
+test("strict scores are 0 or 1; graded decays outside the tolerance", () => {
+  const a = entry("a", { date: "2025-03-01" });
+  const b = entry("b", { date: "2025-03-04" });
+  const strict = overallSimilarity(a, b, dateOnly, { mode: "strict" });
+  const graded = overallSimilarity(a, b, dateOnly, { mode: "graded" });
+  assert.equal(strict, 0);
+  assert.ok(graded > 0 && graded < 1);
+
+  const same = entry("c", { date: "2025-03-02" });
+  assert.equal(overallSimilarity(a, same, dateOnly, { mode: "strict" }), 1);
+  assert.equal(overallSimilarity(a, same, dateOnly, { mode: "graded" }), 1);
+});
+
+test("graded is never below strict outside the set aspects", () => {
+  // strict matches two empty lists; graded overlap does not
+  const weights = { ...equalWeights, eventTypes: 0, conditions: 0 };
+  const { entries } = generateFixture({ incidents: 15, seed: 3 });
+  const rows = entries.map(toSimilarityEntry);
+  for (let i = 0; i < rows.length; i++) {
+    for (let j = i + 1; j < rows.length; j++) {
+      const s = overallSimilarity(rows[i], rows[j], weights, {
+        mode: "strict",
+      });
+      const g = overallSimilarity(rows[i], rows[j], weights, {
+        mode: "graded",
+      });
+      assert.ok(g >= s - 1e-9, `${rows[i].id} / ${rows[j].id}`);
+    }
+  }
+});
+
+test("event types compare case-insensitively", () => {
+  const a = entry("a", { eventTypes: ["Detention"] });
+  const b = entry("b", { eventTypes: ["detention "] });
+  const { aspects } = explainPair(a, b, { eventTypes: 1 });
+  assert.equal(aspects.eventTypes.score, 1);
+});
+
+test("missing values are not similar", () => {
+  const { aspects } = explainPair(entry("a"), entry("b"), equalWeights);
+  assert.equal(aspects.date.score, 0);
+  assert.equal(aspects.ransom.score, 0);
+  assert.equal(aspects.transport.score, 0);
+});
+
+test("date blocking is only used when lossless", () => {
+  assert.equal(dateBlockingWindow({ ...equalWeights, date: 0 }, 0.7), null);
+  // the other aspects alone can reach the threshold: no safe window
+  assert.equal(dateBlockingWindow(equalWeights, 0.5), null);
+  assert.ok(dateBlockingWindow(equalWeights, 0.9) > 0);
+});
+
+test("blocked and full scans build the same buckets", () => {
+  const { entries } = generateFixture({ incidents: 40, seed: 11 });
+  const rows = entries.map(toSimilarityEntry);
+  const blocked = clusterEntries(rows, equalWeights, 0.9);
+  const full = clusterEntries(rows, equalWeights, 0.9, { blocking: "none" });
+  assert.equal(blocked.blocking.key, "date");
+  assert.ok(blocked.blocking.candidates < full.blocking.candidates);
+  assert.deepEqual(groups(blocked), groups(full));
+});
+
+// a ~ b and b ~ c, but a !~ c (strict, ±1 day)
+const chain = [
+  entry("a", { date: "2025-03-01" }),
+  entry("b", { date: "2025-03-02" }),
+  entry("c", { date: "2025-03-03" }),
+];
+const chainOpts = { mode: "strict", blocking: "none" };
+
+test("single linkage chains a-b-c into one bucket", () => {
+  const r = clusterEntries(chain, dateOnly, 0.6, chainOpts);
+  assert.deepEqual(groups(r), ["a,b,c"]);
+});
+
+test("complete and average linkage do not chain", () => {
+  for (const strategy of ["complete", "average"]) {
+    const r = clusterEntries(chain, dateOnly, 0.6, { ...chainOpts, strategy });
+    const sizes = r.buckets.map((b) => b.size).sort();
+    assert.deepEqual(sizes, [1, 2], strategy);
+  }
+});
+
+test("density: borders join their core, lone entries stay alone", () => {
+  const far = entry("z", { date: "2025-06-01" });
+  const r = clusterEntries([...chain, far], dateOnly, 0.6, {
+    ...chainOpts,
+    strategy: "density",
+    minNeighbors: 2,
+  });
+  assert.deepEqual(groups(r), ["a,b,c", "z"]);
+});
+
+test("cohesion reports the weakest and mean pair inside a bucket", () => {
+  const r = clusterEntries(chain, dateOnly, 0.6, chainOpts);
+  assert.deepEqual(r.buckets[0].cohesion, { min: 0, mean: 0.667 });
+});
+
+test("pins join entries that do not match; splits win over matches", () => {
+  const far = entry("z", { date: "2025-06-01" });
+  const pinned = clusterEntries([...chain, far], dateOnly, 0.6, {
+    ...chainOpts,
+    mustLink: [["a", "z"]],
+  });
+  assert.deepEqual(groups(pinned), ["a,b,c,z"]);
+
+  const split = clusterEntries(chain, dateOnly, 0.6, {
+    ...chainOpts,
+    cannotLink: [["a", "c"]],
+  });
+  const together = (x, y) =>
+    split.buckets.some((b) => b.entryIds.includes(x) && b.entryIds.includes(y));
+  assert.equal(together("a", "c"), false);
+  assert.equal(split.buckets.length, 2);
+});
+
+test("separate reporter mode lists one person's repeats as duplicates", () => {
+  const repeats = [
+    entry("a", { date: "2025-03-01", reporter: "r1" }),
+    entry("b", { date: "2025-03-01", reporter: "r1" }),
+  ];
+  const merged = clusterEntries(repeats, dateOnly, 0.6, chainOpts);
+  assert.deepEqual(groups(merged), ["a,b"]);
+  assert.equal(merged.buckets[0].corroboration, 1);
+  assert.deepEqual(merged.duplicates, []);
+
+  const separate = clusterEntries(repeats, dateOnly, 0.6, {
+    ...chainOpts,
+    reporterMode: "separate",
+  });
+  assert.deepEqual(groups(separate), ["a", "b"]);
+  assert.deepEqual(separate.duplicates, [
+    { reporter: "r1", entryIds: ["a", "b"], size: 2 },
+  ]);
+});
+
+test("bucket summaries report what every entry shares", () => {
+  const entryById = {
+    a: entry("a", {
+      date: "2025-03-01",
+      location: "Sabha",
+      ransom: 1000,
+      eventTypes: ["Detention", "ransom_call"],
+      transport: "Truck",
+    }),
+    b: entry("b", {
+      date: "2025-03-02",
+      location: "sabha",
+      ransom: 1050,
+      eventTypes: ["detention"],
+      transport: "truck",
+    }),
+  };
+  const { summary } = summarizeBucket(
+    { bucketId: "b1", entryIds: ["a", "b"], size: 2 },
+    entryById,
+    {},
+    { currency: "EUR" },
+  );
+  assert.deepEqual(summary.dateRange, {
+    earliest: "2025-03-01",
+    latest: "2025-03-02",
+  });
+  assert.deepEqual(summary.eventTypeSets, {
+    shared: ["Detention"],
+    differing: ["ransom_call"],
+  });
+  assert.equal(summary.transport, "Truck");
+  assert.match(summary.ransomText, /€1,000 – €1,050/);
+});